@@ -0,0 +1,70 @@
+// api/culling.js
+// Culling candidates ranked by score, from the latest stored "automatic file"
+// (AT1–AT3) and VIC uploads (lib/culling.js).
+//
+//   GET [?today=YYYY-MM-DD][&min_score=1]   → cows ranked, with the reason for each point
+//   GET ?view=rules                         → rules in effect
+//   PUT { <rule id>: { enabled, points, … } } → change rules (culling-rules.json)
+import { latestUpload } from "../lib/herd-store.js";
+import { DEFAULT_RULES, loadRules, saveRules, scoreCulling } from "../lib/culling.js";
+import { readJsonBody } from "../lib/uploads.js";
+
+export const config = {
+  api: { bodyParser: false },
+};
+
+async function sourcesFromStore() {
+  const automatic = await latestUpload("automatic");
+  const vic = await latestUpload("vic");
+
+  return {
+    at1: automatic?.data?.ataskaita1 || [],
+    at2: automatic?.data?.ataskaita2 || [],
+    at3: automatic?.data?.ataskaita3 || [],
+    vic: vic?.data?.animals || [],
+    uploads: {
+      automatic: automatic ? automatic.id : null,
+      vic: vic ? vic.id : null,
+    },
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    const q = req.query || {};
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "GET") {
+      if (q.view === "rules") {
+        return res.status(200).json({ rules: await loadRules(), defaults: DEFAULT_RULES });
+      }
+
+      if (q.today && !/^\d{4}-\d{2}-\d{2}$/.test(q.today)) {
+        return res.status(400).json({ error: '"today" must be YYYY-MM-DD' });
+      }
+
+      const sources = await sourcesFromStore();
+      if (!sources.at1.length && !sources.at3.length) {
+        return res.status(404).json({ error: "No stored automatic file to score." });
+      }
+
+      const minScore = Number(q.min_score);
+      const result = scoreCulling(sources, await loadRules(), {
+        today: q.today,
+        minScore: q.min_score != null && Number.isFinite(minScore) ? minScore : undefined,
+      });
+      return res.status(200).json({ uploads: sources.uploads, ...result });
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      const rules = await saveRules(await readJsonBody(req));
+      return res.status(200).json({ rules });
+    }
+
+    return res.status(405).json({ error: "Use GET or PUT" });
+  } catch (err) {
+    // input errors carry their status (lib/uploads.js inputError); the rest is ours
+    const msg = String(err?.message || err);
+    return res.status(err?.status || 500).json({ error: msg });
+  }
+}
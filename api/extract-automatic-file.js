@@ -2,6 +2,9 @@
 import fs from "fs/promises";
 import formidable from "formidable";
 import { read, utils } from "xlsx";
+import { asOfError, recordFromRequest } from "../lib/herd-store.js";
+import { DEFAULT_DROP_RATIO, at2Analytics } from "../lib/milk-analytics.js";
+import { normalizeTeats, udderOf } from "../lib/udder.js";
 
 export const config = {
   api: { bodyParser: false, sizeLimit: "100mb" },
@@ -159,7 +162,7 @@ function mapRowsToObjects(rows, cols) {
   });
 }
 
-function parseExcelBuffer(buf) {
+export function parseExcelBuffer(buf) {
   const wb = read(buf, { type: "buffer", cellDates: true });
   const ws = wb.Sheets[wb.SheetNames[0]];
   return utils.sheet_to_json(ws, {
@@ -236,6 +239,38 @@ function pickAt2Schema(sec2) {
   return AT2_COLS_NO_D;
 }
 
+// AOA rows → AT1/AT2/AT3 objects (at2Schema is null when a marker is missing)
+export function parseAutomaticRows(rows) {
+  const i1 = findMarkerIndex(rows, "1 ATASKAITA");
+  const i2 = findMarkerIndex(rows, "2 ATASKAITA");
+  const i3 = findMarkerIndex(rows, "3 ATASKAITA");
+  const markers = { i1, i2, i3 };
+
+  if (i1 === -1 || i2 === -1 || i3 === -1) {
+    return { markers, at2Schema: null, ataskaita1: [], ataskaita2: [], ataskaita3: [] };
+  }
+
+  const sec1 = cleanSectionRows(rows.slice(i1 + 1, i2));
+  const sec2 = cleanSectionRows(rows.slice(i2 + 1, i3));
+  const sec3 = cleanSectionRows(rows.slice(i3 + 1));
+
+  const ataskaita1 = mapRowsToObjects(sec1, AT1_COLS);
+
+  const at2Cols = pickAt2Schema(sec2);
+  const ataskaita2 = mapRowsToObjects(sec2, at2Cols);
+
+  // teat_missing_* as booleans (true = quarter missing), raw cells in teat_marks
+  const ataskaita3 = mapRowsToObjects(sec3, AT3_COLS).map(normalizeTeats);
+
+  return {
+    markers,
+    at2Schema: at2Cols === AT2_COLS_WITH_D ? "WITH_D" : "NO_D",
+    ataskaita1,
+    ataskaita2,
+    ataskaita3,
+  };
+}
+
 // ---------- main handler ----------
 export default async function handler(req, res) {
   try {
@@ -246,45 +281,52 @@ export default async function handler(req, res) {
       });
     }
 
+    const asOfProblem = asOfError(req);
+    if (asOfProblem) return res.status(400).json({ error: asOfProblem });
+
+    // ?drop=0.3 → flag cows whose latest milking is 30%+ below their average
+    const drop = req.query?.drop;
+    const dropRatio = drop == null || drop === "" ? DEFAULT_DROP_RATIO : Number(drop);
+    if (!(dropRatio > 0 && dropRatio < 1)) {
+      return res.status(400).json({ error: '"drop" must be a fraction between 0 and 1, e.g. 0.3' });
+    }
+
     const buffer = await getUploadBuffer(req);
     const rows = parseExcelBuffer(buffer);
     if (!rows || !rows.length) return res.status(400).json({ error: "Excel has no rows." });
 
-    const i1 = findMarkerIndex(rows, "1 ATASKAITA");
-    const i2 = findMarkerIndex(rows, "2 ATASKAITA");
-    const i3 = findMarkerIndex(rows, "3 ATASKAITA");
+    const { markers, at2Schema, ataskaita1, ataskaita2, ataskaita3 } = parseAutomaticRows(rows);
 
-    if (i1 === -1 || i2 === -1 || i3 === -1) {
+    if (!at2Schema) {
       return res.status(400).json({
         error: "Could not find all 3 markers (1/2/3 ATASKAITA).",
-        found: { i1, i2, i3 },
+        found: markers,
       });
     }
 
-    const sec1 = cleanSectionRows(rows.slice(i1 + 1, i2));
-    const sec2 = cleanSectionRows(rows.slice(i2 + 1, i3));
-    const sec3 = cleanSectionRows(rows.slice(i3 + 1));
-
-    const ataskaita1 = mapRowsToObjects(sec1, AT1_COLS);
-
-    const at2Cols = pickAt2Schema(sec2);
-    const ataskaita2 = mapRowsToObjects(sec2, at2Cols);
+    const uploadId = await recordFromRequest(req, "automatic", { ataskaita1, ataskaita2, ataskaita3 });
 
-    const ataskaita3 = mapRowsToObjects(sec3, AT3_COLS);
+    const milkAnalytics = ataskaita2.map((r) => at2Analytics(r, { dropRatio }));
+    const udders = ataskaita3.map((r) => ({ cow_number: r.cow_number, ...udderOf(r) }));
 
     return res.status(200).json({
       meta: {
-        markers: { i1, i2, i3 },
-        at2_schema: at2Cols === AT2_COLS_WITH_D ? "WITH_D" : "NO_D",
+        upload_id: uploadId,
+        markers,
+        at2_schema: at2Schema,
         counts: {
           ataskaita1: ataskaita1.length,
           ataskaita2: ataskaita2.length,
           ataskaita3: ataskaita3.length,
         },
+        sharp_drops: milkAnalytics.filter((a) => a.sharp_drop).length,
+        missing_teats: udders.filter((u) => u.missing.length).length,
       },
       ataskaita1,
       ataskaita2,
       ataskaita3,
+      milk_analytics: milkAnalytics,
+      udders,
     });
   } catch (err) {
     return res.status(500).json({ error: String(err?.message || err) });
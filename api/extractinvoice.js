@@ -1,5 +1,13 @@
 // api/extractinvoice.js
 const pdfParse = require("pdf-parse");
+const { extractText } = require("../lib/ocr.js");
+const { findProfile } = require("../lib/invoice-profiles.js");
+const { validateInvoice } = require("../lib/invoice-validation.js");
+const { validatePartyCodes } = require("../lib/lt-codes.js");
+const { isafDocuments, toISAF, toCSV } = require("../lib/invoice-export.js");
+const { loadCatalogue, applyCatalogue } = require("../lib/product-catalogue.js");
+const { loadRegistry, applyRegistry } = require("../lib/medicine-registry.js");
+const { asOfError, recordFromRequest } = require("../lib/herd-store.js");
 
 // ---------- utils ----------
 function norm(s) { return (s || "").replace(/\s+/g, " ").trim(); }
@@ -25,109 +33,415 @@ function num(s) {
   return Number.isFinite(v) ? v : null;
 }
 
-function mostRecentDate(text) {
-  const ds = [];
-  const rx = /\b(\d{2}[.\-\/]\d{2}[.\-\/]\d{4}|\d{4}[.\-\/]\d{2}[.\-\/]\d{2})\b/g;
-  let m;
-  while ((m = rx.exec(text))) {
-    const iso = toISO(m[1]);
-    if (iso) ds.push(iso);
+function addDays(iso, days) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromIso, toIso) {
+  return Math.round((Date.parse(`${toIso}T00:00:00Z`) - Date.parse(`${fromIso}T00:00:00Z`)) / 86400000);
+}
+
+// ---------- dates & payment ----------
+const DATE_RE = /\b(\d{2}[.\-\/]\d{2}[.\-\/]\d{4}|\d{4}[.\-\/]\d{2}[.\-\/]\d{2})\b/g;
+
+// The text in front of a date says what it is; due and delivery are checked
+// first so "Apmokėjimo data" is not read as the issue date
+// "skip" dates (expiry, best before) are neither the invoice nor a due date
+const DATE_LABELS = [
+  ["skip", /(galiojimo|galioja|tinka\s*iki|vartoti\s*iki|expiry|expires|best\s*before)/iu],
+  ["due", /(apmokėti|apmokėjimo|mokėjimo\s*(?:data|terminas)|due|pay\s*by|payable)/iu],
+  ["delivery", /(pristatymo|tiekimo|išsiuntimo|perdavimo|pakrovimo|delivery|shipping|shipped)/iu],
+  ["issue", /(išrašymo|išdavimo|sąskaitos\s*data|dokumento\s*data|issue|invoice\s*date|serija|(?<!\p{L})data(?!\p{L}))/iu],
+];
+
+const PAYMENT_TERMS_RE = /(?:apmokėti\s*per|(?:ap)?mokėjimo\s*terminas|payment\s*terms?|terms)\s*[:\-]?\s*(\d{1,3})\s*(?:kalendorini\p{L}*\s*)?(?:d\.|d(?!\p{L})|dien\p{L}*|days?)/iu;
+const ORDER_RE = [
+  /(?:užsakym\p{L}*|order)\s*(?:nr\.?|no\.?|number|#)?\s*[:.]?\s*([A-Za-z0-9\-\/_.]*\d[A-Za-z0-9\-\/_.]*)/iu,
+  // upper case only: "po" is an ordinary Lithuanian word
+  /(?<!\p{L})PO\s*(?:Nr\.?|No\.?|#)?\s*[:.]?\s*([A-Za-z0-9\-\/_.]*\d[A-Za-z0-9\-\/_.]*)/u,
+];
+const PAYMENT_REF_RE = /(?:įmokos\s*kodas|mokėjimo\s*(?:kodas|paskirtis|nuoroda)|payment\s*reference|reference\s*(?:no\.?|number))\s*[:.\-]?\s*([^\n\r]+)/iu;
+
+// { issue, due, delivery } from labeled dates; unlabeled ones are kept so the
+// issue date can fall back to the earliest of them
+function labeledDates(text) {
+  const out = { issue: null, due: null, delivery: null, other: [] };
+
+  for (const line of linesOf(text)) {
+    let from = 0;
+    for (const m of line.matchAll(DATE_RE)) {
+      const label = line.slice(from, m.index);
+      from = m.index + m[0].length;
+
+      const iso = toISO(m[1]);
+      if (!iso) continue;
+
+      const hit = DATE_LABELS.find(([, re]) => re.test(label));
+      if (!hit) out.other.push(iso);
+      else if (hit[0] !== "skip" && !out[hit[0]]) out[hit[0]] = iso;
+    }
+  }
+
+  return out;
+}
+
+function firstMatch(text, res) {
+  for (const re of res) {
+    const m = text.match(re);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+// dates: labeledDates() with `issue` set to the invoice date actually used
+function parsePayment(text, dates) {
+  const { issue } = dates;
+
+  let terms = (text.match(PAYMENT_TERMS_RE) || [])[1];
+  terms = terms != null ? parseInt(terms, 10) : null;
+
+  let due = dates.due;
+  if (!due && issue && terms != null) due = addDays(issue, terms);
+  if (terms == null && due && issue) terms = daysBetween(issue, due);
+
+  const ref = (text.match(PAYMENT_REF_RE) || [])[1];
+
+  return {
+    due_date: due,
+    delivery_date: dates.delivery,
+    payment_terms_days: terms,
+    order_number: firstMatch(text, ORDER_RE),
+    payment_reference: ref ? norm(ref).slice(0, 140) : null,
+  };
+}
+
+// ---------- parties ----------
+const LEGAL_FORM_RE = /(?<!\p{L})(UAB|AB|MB|IĮ|VšĮ|VŠĮ|ŽŪB|KŪB|TŪB|ŪB|ŽŪK)(?!\p{L})/u;
+const PARTY_LABEL_RE = /(?<!\p{L})(Tiekėjas|Pardavėjas|Pirkėjas)(?!\p{L})\s*:?/giu;
+// first line after a party block
+const PARTY_END_RE = /^(Eil\.\s*Nr|Prekė|Prekės|Pavadinimas|Apmokėti|Mokėjimo|Pristatymo|Sąskaitą\s*išrašė|PVM\s*SĄSKAITA|Sąskaita\s*-?\s*faktūra)/i;
+const ADDRESS_LABEL_RE = /^(?:Adresas|Buveinės\s*adresas|Address)\s*[:\-]?\s*(.+)$/i;
+const ADDRESS_HINT_RE = /(\bLT-?\d{5}\b|(?:^|\s)(?:g|pr|al|k|r|sav|sen)\.(?:\s|,|$)|\b(?:gatvė|kaimas|rajonas)\b)/i;
+const PARTY_FIELD_RE = /(PVM\s*kodas|VAT|Įmonės\s*kodas|Imonės\s*kodas|Kodas|IBAN|Bankas|A\.?\s*s\.|Tel\.|El\.\s*paštas)/i;
+const MAX_PARTY_LINES = 12;
+
+// Text after each "Tiekėjas" / "Pirkėjas" label, up to the next label or table
+function partyBlocks(text) {
+  const labels = [...text.matchAll(PARTY_LABEL_RE)].map((m) => ({
+    role: /Pirkėjas/i.test(m[1]) ? "buyer" : "supplier",
+    start: m.index,
+    body: m.index + m[0].length,
+  }));
+
+  const out = { supplier: null, buyer: null };
+
+  labels.forEach((l, i) => {
+    if (out[l.role] != null) return;
+
+    const next = labels.slice(i + 1).find((x) => x.start >= l.body);
+    const chunk = text.slice(l.body, next ? next.start : undefined);
+
+    const kept = [];
+    for (const line of chunk.split(/\r?\n/)) {
+      if (kept.length && PARTY_END_RE.test(norm(line))) break;
+      kept.push(line);
+      if (kept.length >= MAX_PARTY_LINES) break;
+    }
+    out[l.role] = kept.join("\n");
+  });
+
+  return out;
+}
+
+function parseParty(block) {
+  const b = block || "";
+  const ls = linesOf(b).map((l) => l.replace(/^[:\-\s]+/, "")).filter(Boolean);
+
+  const nameLine =
+    ls.find((l) => LEGAL_FORM_RE.test(l)) ||
+    ls.find((l) => !/\d/.test(l) && !PARTY_FIELD_RE.test(l) && !ADDRESS_LABEL_RE.test(l)) ||
+    null;
+
+  let address = null;
+  for (const l of ls) {
+    const m = l.match(ADDRESS_LABEL_RE);
+    if (m) { address = m[1]; break; }
+  }
+  if (!address) {
+    address = ls.find((l) => l !== nameLine && !PARTY_FIELD_RE.test(l) && ADDRESS_HINT_RE.test(l)) || null;
+  }
+
+  // "UAB Pienas, Įmonės kodas 123…" → "UAB Pienas"
+  let name = nameLine;
+  const fieldAt = name ? name.search(PARTY_FIELD_RE) : -1;
+  if (fieldAt > 0) name = name.slice(0, fieldAt).replace(/[\s,;]+$/, "");
+
+  return {
+    name: name ? norm(name) : null,
+    code: (b.match(/\b(Įmonės\s*kodas|Imonės\s*kodas|Kodas)\s*[:\-]?\s*(\d{7,})/i) || [])[2] || null,
+    vat_code: (b.match(/\b(PVM\s*kodas|VAT)\s*[:\-]?\s*([A-Z]{2}\d{5,12})/i) || [])[2] || null,
+    address: address ? norm(address) : null,
+    iban: (b.match(/\bIBAN\s*[:\-]?\s*([A-Z]{2}[0-9A-Z]{13,34})\b/) || [])[1] || null,
+  };
+}
+
+// Our own farm, so invoices addressed to someone else get flagged
+const FARM = {
+  code: process.env.FARM_COMPANY_CODE || null,
+  vat_code: (process.env.FARM_VAT_CODE || "").toUpperCase() || null,
+  name: process.env.FARM_NAME || null,
+};
+
+function comparableName(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(LEGAL_FORM_RE, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function checkBuyer(buyer) {
+  if (!FARM.code && !FARM.vat_code && !FARM.name) {
+    return { configured: false, matches: null, matched_by: null, flagged: false, reason: null };
+  }
+
+  const result = (matches, matchedBy, reason = null) => ({
+    configured: true,
+    matches,
+    matched_by: matchedBy,
+    flagged: matches !== true,
+    reason,
+  });
+
+  if (!buyer) return result(false, null, "buyer_not_found");
+
+  if (FARM.code && buyer.code) {
+    return buyer.code === FARM.code ? result(true, "company_code") : result(false, "company_code", "other_company_code");
+  }
+  if (FARM.vat_code && buyer.vat_code) {
+    return buyer.vat_code.toUpperCase() === FARM.vat_code ? result(true, "vat_code") : result(false, "vat_code", "other_vat_code");
+  }
+  if (FARM.name && buyer.name) {
+    const ours = comparableName(FARM.name);
+    const theirs = comparableName(buyer.name);
+    return ours && theirs && (theirs.includes(ours) || ours.includes(theirs))
+      ? result(true, "name")
+      : result(false, "name", "other_name");
+  }
+
+  return result(false, null, "buyer_unidentified");
+}
+
+// ---------- document type ----------
+// A document title at the start of a line opens a new invoice
+const INVOICE_TITLE_RE = /^(?:PVM\s*)?(?:SĄSKAITA\s*[-–]?\s*FAKTŪRA|KREDITINĖ\s*(?:PVM\s*)?SĄSKAITA|DEBETINĖ\s*(?:PVM\s*)?SĄSKAITA|IŠANKSTINĖ\s*(?:PVM\s*)?SĄSKAITA|(?:TAX\s*)?INVOICE|PROFORMA|(?:CREDIT|DEBIT)\s*NOTE)(?![\p{L}])/iu;
+
+// Checked in order against the title; anything else is a plain invoice
+const DOCUMENT_TYPES = [
+  ["credit_note", /KREDITIN|CREDIT\s*NOTE/i],
+  ["debit_note", /DEBETIN|DEBIT\s*NOTE/i],
+  // a proforma ("išankstinė sąskaita" without "PVM … faktūra") is not a VAT
+  // invoice; a prepayment VAT invoice is
+  ["proforma", /PRO\s*FORMA|IŠANKSTINĖ\s*SĄSKAITA(?!\s*[-–]?\s*FAKTŪR)/i],
+  ["prepayment", /IŠANKSTIN|PREPAYMENT/i],
+];
+
+// "Kreditinė sąskaita pagal sąskaitą Nr. AVN0092292", "Koreguojama sąskaita: …"
+const ORIGINAL_INVOICE_RE = [
+  /(?:pagal|koreguojam\p{L}*|kredituojam\p{L}*|susijusi\p{L}*|anuliuojam\p{L}*|nuoroda\s*į)\s+(?:PVM\s*)?sąskait\p{L}*(?:\s*[-–]?\s*faktūr\p{L}*)?[^\n\r]*?\bNr\.?\s*[:.]?\s*([A-Za-z0-9\-\/_.]+)/iu,
+  /(?:original|referenced|related|corrected)\s+invoice\s*(?:no\.?|nr\.?|number|#)?\s*[:.]?\s*([A-Za-z0-9\-\/_.]*\d[A-Za-z0-9\-\/_.]*)/i,
+];
+
+function documentType(text) {
+  const ls = linesOf(text);
+  const title = ls.find((l) => INVOICE_TITLE_RE.test(l)) || ls.slice(0, 15).join(" ");
+  const hit = DOCUMENT_TYPES.find(([, re]) => re.test(title));
+  return hit ? hit[0] : "invoice";
+}
+
+// { number, date, line }; `date` is a date printed after the number on the
+// same line ("… Nr. AVN0092292, 2025-09-30"), else null
+function originalInvoiceNumber(text) {
+  for (const re of ORIGINAL_INVOICE_RE) {
+    const m = text.match(re);
+    if (!m) continue;
+
+    const end = text.indexOf("\n", m.index + m[0].length);
+    const rest = text.slice(m.index + m[0].length, end < 0 ? undefined : end);
+    const date = rest.match(new RegExp(DATE_RE.source));
+    return { number: m[1].replace(/[.,;]+$/, ""), date: date ? toISO(date[1]) : null, line: m[0] };
+  }
+  return null;
+}
+
+// The reference line must not be read as the document's own number
+function ownInvoiceNumber(text, original = originalInvoiceNumber(text)) {
+  const nr = invoiceNumber(text);
+  return original && nr === original.number ? invoiceNumber(text.replace(original.line, "")) : nr;
+}
+
+// Credit notes: amounts owed back to us are negative whatever the PDF prints
+function applyCreditSign(invoice, lines) {
+  const neg = (v) => (v == null ? v : -Math.abs(v));
+
+  for (const k of ["total_net", "total_vat", "total_gross"]) invoice[k] = neg(invoice[k]);
+  for (const b of invoice.vat_breakdown || []) {
+    b.base = neg(b.base);
+    b.vat = neg(b.vat);
+  }
+  for (const l of lines) {
+    l.qty = neg(l.qty);
+    l.unit_price = l.unit_price == null ? null : Math.abs(l.unit_price);
+    l.net = neg(l.net);
+    l.vat = neg(l.vat);
+    l.gross = neg(l.gross);
   }
-  ds.sort(); // lexicographic works for ISO
-  return ds.length ? ds[ds.length - 1] : null;
 }
 
-function between(text, startMarker, endMarker) {
-  const s = text.indexOf(startMarker);
-  if (s === -1) return null;
-  const e = text.indexOf(endMarker, s + startMarker.length);
-  return e === -1 ? text.slice(s + startMarker.length) : text.slice(s + startMarker.length, e);
+// ---------- VAT breakdown ----------
+// Summary rows: "PVM 21 % nuo 820,00 172,20", "9% 100,00 9,00 109,00",
+// "Apmokestinama 21 %: 820,00 PVM 172,20"
+const VAT_AMOUNT = String.raw`-?(?:\d{1,3}(?:[ .]\d{3})*|\d+)(?:[.,]\d{2})`;
+const VAT_SUMMARY_RE = new RegExp(
+  String.raw`^(?:(?:PVM|VAT|tarifas|apmokestinama|suma|taxable|amount)\s*)*[:\-]?\s*` +
+  String.raw`(?<rate>\d{1,2}(?:[.,]\d+)?)\s*%\s*[:\-]?\s*` +
+  String.raw`(?:(?:nuo|of|bazė)\s*[:\-]?\s*)?(?<base>${VAT_AMOUNT})\s+` +
+  String.raw`(?:(?:PVM|VAT)\s*[:\-]?\s*)?(?<vat>${VAT_AMOUNT})` +
+  String.raw`(?:\s+(?<gross>${VAT_AMOUNT}))?\s*$`,
+  "i"
+);
+
+const REVERSE_CHARGE_RE = /atvirkštin\p{L}*\s+(?:PVM\s+)?apmokestinim\p{L}*|reverse[\s-]*charge|PVM\s*įstatymo\s*9[56]\s*str/iu;
+
+// One row per rate; a rate printed twice (page footer repeats) counts once
+function parseVatBreakdown(text) {
+  const byRate = new Map();
+
+  for (const l of linesOf(text)) {
+    const m = l.match(VAT_SUMMARY_RE);
+    if (!m) continue;
+
+    const rate = num(m.groups.rate);
+    if (rate == null || byRate.has(rate)) continue;
+
+    byRate.set(rate, { rate, base: num(m.groups.base), vat: num(m.groups.vat) });
+  }
+
+  return [...byRate.values()];
 }
 
 // ---------- header parsing ----------
-function parseHeader(text) {
-  const t = text;
+// Profile header patterns win over the generic ones (value in group 1)
+function applyHeaderProfile(header, text, profile) {
+  const hp = profile?.header || {};
+  const pick = (re) => (re ? (text.match(re) || [])[1] ?? null : null);
+
+  const nr = pick(hp.number);
+  if (nr) header.invoice.number = nr.trim();
+
+  const date = toISO(pick(hp.date));
+  if (date) header.invoice.date = header.invoice.issue_date = date;
+
+  for (const k of ["total_net", "total_vat", "total_gross"]) {
+    const v = num(pick(hp[k]));
+    if (v != null) header.invoice[k] = v;
+  }
 
-  // Prefer dates near "Serija" or an explicit "Data" label
-  const serDate = (t.match(/Serija[^\n\r]*?\b(\d{2}[.\-\/]\d{2}[.\-\/]\d{4})\b/i) || [])[1];
-  const labeledDate = (t.match(/\b(Išrašymo|Išdavimo|Data|Issue)\s*[:\-]?\s*(\d{2}[.\-\/]\d{2}[.\-\/]\d{4}|\d{4}[.\-\/]\d{2}[.\-\/]\d{2})/i) || [])[2];
-  const dateISO = toISO(serDate || labeledDate) || mostRecentDate(t);
+  const rate = pick(hp.vat_rate);
+  if (rate != null && /^\d{1,2}$/.test(rate.trim())) header.invoice.vat_rate = parseInt(rate, 10);
 
-  // Invoice number (catch “PVM SĄSKAITA… serija Nr.0092292”, “Serija DBG/Data 5250125994/01.10.2025” etc.)
-  const nr =
+  return header;
+}
+
+// Invoice number (catch “PVM SĄSKAITA… serija Nr.0092292”, “Serija DBG/Data 5250125994/01.10.2025” etc.)
+function invoiceNumber(t) {
+  return (
     (t.match(/Sąskaita\s*-\s*faktūra[^\n\r]*?\b(?:serija)?\s*Nr\.?\s*[:.]?\s*([A-Za-z0-9\-\/_.]+)/i) || [])[1] ||
     (t.match(/\bSerija[^\n\r]*?\b([A-Z0-9\-\/_.]{5,})\b/i) || [])[1] ||
     (t.match(/\b(?:Faktūra|Invoice)\s*Nr\.?\s*([A-Za-z0-9\-\/_.]+)/i) || [])[1] ||
-    (t.match(/\bNr\.?\s*([A-Za-z0-9\-\/_.]{4,})\b/) || [])[1] || null;
-
-  // Split by labeled blocks for better supplier detection
-  const supplierBlock = between(t, "Tiekėjas", "Pirkėjas") || between(t, "Tiekėjas:", "Pirkėjas:") || null;
-
-  // Supplier fields
-  let supplierName = null, supVat = null, supCode = null, iban = null;
-  if (supplierBlock) {
-    const sb = supplierBlock;
-    supplierName = (sb.match(/^.*\b(UAB|AB|MB|IĮ|VŠĮ|ŪB)\b.*$/mi) || [])[0] || null;
-    supVat = (sb.match(/\b(PVM\s*kodas|VAT)\s*[:\-]?\s*([A-Z]{2}\d{5,12})/i) || [])[2] || null;
-    supCode = (sb.match(/\b(Įmonės\s*kodas|Imonės\s*kodas|Kodas)\s*[:\-]?\s*(\d{7,})/i) || [])[2] || null;
-    iban = (sb.match(/\bIBAN\s*[:\-]?\s*([A-Z]{2}[0-9A-Z]{13,34})\b/) || [])[1] || null;
-  } else {
-    // fallback: whole text
-    supplierName = (t.match(/^.*\b(UAB|AB|MB|IĮ|VŠĮ|ŪB)\b.*$/mi) || [])[0] || null;
-    supVat = (t.match(/\b(PVM\s*kodas|VAT)\s*[:\-]?\s*([A-Z]{2}\d{5,12})/i) || [])[2] || null;
-    supCode = (t.match(/\b(Įmonės\s*kodas|Imonės\s*kodas|Kodas)\s*[:\-]?\s*(\d{7,})/i) || [])[2] || null;
-    iban = (t.match(/\bIBAN\s*[:\-]?\s*([A-Z]{2}[0-9A-Z]{13,34})\b/) || [])[1] || null;
-  }
+    (t.match(/\bNr\.?\s*([A-Za-z0-9\-\/_.]{4,})\b/) || [])[1] || null
+  );
+}
+
+function parseHeader(text, profile = null) {
+  const t = text;
+
+  // Labeled issue date (or the one on the "Serija" line); never a due or delivery date
+  const docType = documentType(t);
+  const original = docType === "invoice" ? null : originalInvoiceNumber(t);
+
+  // later unlabeled dates are usually delivery or expiry dates, so take the
+  // earliest – but never the referenced invoice's own date
+  const dates = labeledDates(t);
+  const unlabeled = dates.other.filter((d) => d !== original?.date).sort();
+  const dateISO = dates.issue || unlabeled[0] || null;
+  const nr = ownInvoiceNumber(t, original);
+
+  // Split by labeled blocks for better supplier / buyer detection
+  const blocks = partyBlocks(t);
+
+  // fallback: whole text
+  const supplier = parseParty(blocks.supplier != null ? blocks.supplier : t);
+  const buyer = blocks.buyer != null ? parseParty(blocks.buyer) : null;
 
   // Currency
   const currency = (t.match(/\b(EUR|USD|GBP|PLN)\b/) || [])[1] || "EUR";
 
-  // Totals
+  // Totals (a digit is required, so the "Suma be PVM | PVM | Suma" column header doesn't count)
   const totalNet =
-    num((t.match(/\b(PVM\s*apmokestinama\s*suma|Suma\s*be\s*PVM|Tarpinė\s*suma|Net\s*amount)\s*[:\-]?\s*([0-9 .,\-]+)\b/i) || [])[2]);
+    num((t.match(/\b(PVM\s*apmokestinama\s*suma|Suma\s*be\s*PVM|Tarpinė\s*suma|Net\s*amount)\s*[:\-]?\s*(-?\d[0-9 .,]*)\b/i) || [])[2]);
   const totalVat =
-    num((t.match(/\b(PVM\s*suma|VAT)\s*[:\-]?\s*([0-9 .,\-]+)\b/i) || [])[2]);
+    num((t.match(/\b(PVM\s*suma|VAT)\s*[:\-]?\s*(-?\d[0-9 .,]*)\b/i) || [])[2]);
   const totalGross =
-    num((t.match(/\b(Iš\s*viso|Bendra\s*suma|Total|Suma\s*su\s*PVM)\s*[:\-]?\s*([0-9 .,\-]+)\b/i) || [])[2]);
+    num((t.match(/\b(Iš\s*viso|Bendra\s*suma|Total|Suma\s*su\s*PVM)\s*[:\-]?\s*(-?\d[0-9 .,]*)\b/i) || [])[2]);
 
   const vatRate = (t.match(/\bPVM\s*tarif(as|ai)?\s*[:\-]?\s*(\d{1,2})\s*%/i) || [])[2]
     ? parseInt((t.match(/\bPVM\s*tarif(as|ai)?\s*[:\-]?\s*(\d{1,2})\s*%/i) || [])[2], 10)
     : null;
 
-  return {
-    supplier: {
-      name: supplierName ? norm(supplierName) : null,
-      code: supCode || null,
-      vat_code: supVat || null,
-      address: null,
-      iban: iban || null,
-    },
+  const vatBreakdown = parseVatBreakdown(t);
+  const reverseCharge = REVERSE_CHARGE_RE.test(t);
+
+  const header = {
+    supplier,
+    buyer,
     invoice: {
+      document_type: docType,
       number: nr,
+      original_number: original ? original.number : null,
+      original_date: original ? original.date : null,
       date: dateISO,
+      issue_date: dates.issue,
       currency,
       total_net: totalNet,
       total_vat: totalVat,
       total_gross: totalGross,
-      vat_rate: vatRate
+      vat_rate: vatRate ?? (vatBreakdown.length === 1 ? vatBreakdown[0].rate : null),
+      vat_breakdown: vatBreakdown,
+      reverse_charge: reverseCharge
     }
   };
-}
 
-// ---------- lines parsing ----------
-function parseLines(text) {
-  const LIT = "A-Za-zĄČĘĖĮŠŲŪŽąčęėįšųūž";
-  const UNIT = `[${LIT}%/\\.a-zA-Z]{1,8}`;
-  // allow 2–4 decimals
-  const NUM = String.raw`(?:\d{1,3}(?:[ .]\d{3})*|\d+)(?:[.,]\d{2,4})?`;
-  const STOP = /(iš viso|viso|bendra suma|total)/i;
+  if (profile) applyHeaderProfile(header, t, profile);
+  Object.assign(header.invoice, parsePayment(t, { ...dates, issue: header.invoice.date }));
 
-  const ls = linesOf(text);
-  const out = [];
-  let lineNo = 0;
+  return header;
+}
 
+// ---------- lines parsing ----------
+const LIT = "A-Za-zĄČĘĖĮŠŲŪŽąčęėįšųūž";
+const UNIT = `[${LIT}%/\\.a-zA-Z]{1,8}`;
+// allow 2–4 decimals
+const NUM = String.raw`-?(?:\d{1,3}(?:[ .]\d{3})*|\d+)(?:[.,]\d{2,4})?`;
+const STOP = /(iš viso|viso|bendra suma|total)/i;
+
+// Named groups understood by parseLines: sku, desc, qty, unit, price, vat,
+// net, vatamt, gross, sum (sum = net when the row has no VAT columns).
+const LAYOUTS = {
   // (1) Full table: Desc … Qty Unit Price VAT% Net VAT Gross  (Avena)
-  const reFull = new RegExp(
+  full: new RegExp(
     String.raw`^(?:(?<sku>[A-Z0-9\-\._]{2,})\s+)?` +
     String.raw`(?<desc>.+?)\s+` +
     String.raw`(?<qty>${NUM})\s*` +
@@ -138,10 +452,10 @@ function parseLines(text) {
     String.raw`(?<vatamt>${NUM})\s+` +
     String.raw`(?<gross>${NUM})\s*$`,
     "i"
-  );
+  ),
 
   // (2) Four columns: Desc … Qty Unit Price Sum  (Kalnapilis)
-  const reFour = new RegExp(
+  four: new RegExp(
     String.raw`^(?:(?<sku>[A-Z0-9\-\._]{2,})\s+)?` +
     String.raw`(?<desc>.+?)\s+` +
     String.raw`(?<qty>${NUM})\s+` +
@@ -149,10 +463,10 @@ function parseLines(text) {
     String.raw`(?<price>${NUM})\s+` +
     String.raw`(?<sum>${NUM})\s*$`,
     "i"
-  );
+  ),
 
   // (3) Minimal fallback
-  const reMin = new RegExp(
+  min: new RegExp(
     String.raw`^(?:(?<sku>[A-Z0-9\-\._]{2,})\s+)?` +
     String.raw`(?<desc>.+?)\s+` +
     String.raw`(?<qty>${NUM})\s*` +
@@ -160,18 +474,114 @@ function parseLines(text) {
     String.raw`(?<price>${NUM})` +
     String.raw`(?:\s+(?<gross>${NUM}))?\s*$`,
     "i"
-  );
+  ),
+};
+
+// ---------- table region ----------
+// Column header row: at least three of these words and no long numbers
+const TABLE_HEADER_WORDS = [
+  /(?<!\p{L})(prekė|prekės|paslauga|pavadinimas|aprašymas|description|item|product)(?!\p{L})/iu,
+  /(?<!\p{L})(kiekis|kiek\.|qty|quantity)(?!\p{L})/iu,
+  /(?<!\p{L})(mato\s*vnt|mat\.\s*vnt|vnt\.?|unit)(?!\p{L})/iu,
+  /(?<!\p{L})(kaina|price)(?!\p{L})/iu,
+  /(?<!\p{L})(suma|amount|total)(?!\p{L})/iu,
+  /(?<!\p{L})(PVM|VAT)(?!\p{L})/iu,
+  /(?<!\p{L})(eil\.?\s*nr|kodas|code|sku)(?!\p{L})/iu,
+];
+// First line of the totals block, when it doesn't already hit STOP
+const TOTALS_START_RE = /^(suma\s*be\s*PVM|PVM\s*suma|tarpinė\s*suma|apmokestinama\s*(?:suma|vertė)|subtotal|net\s*amount)(?!\p{L})/iu;
+const PAGE_FOOTER_RE = /^(puslapis|psl\.|page)\s*\d+\s*(iš|of|\/)\s*\d+$|^\d+\s*(psl\.|\/\s*\d+)$/i;
+
+// Batch / expiry lines under veterinary products
+const DETAIL_LINE_RE = /^(serija|partija|partijos|lot|batch|galioja|tinka|galiojimo|exp\.?|expiry|best\s*before)(?!\p{L})/iu;
+const BATCH_RE = /(?<!\p{L})(?:serija|partija|partijos\s*nr\.?|lot|batch)(?!\p{L})\s*(?:nr\.?|no\.?)?\s*[:.]?\s*([A-Z0-9][A-Z0-9\-\/_.]*)/iu;
+const EXPIRY_RE = /(?<!\p{L})(?:galioja\s*iki|tinka\s*iki|galiojimo\s*(?:data|laikas|terminas)|exp(?:iry)?\.?(?:\s*date)?|best\s*before)\s*[:.]?\s*(\d{2}[.\-\/]\d{2}[.\-\/]\d{4}|\d{4}[.\-\/]\d{2}[.\-\/]\d{2}|\d{4}[.\-\/]\d{2})/iu;
+
+function isTableHeader(line, profileHeader) {
+  if (profileHeader) return profileHeader.test(line);
+  if (/\d{4,}/.test(line)) return false;
+  return TABLE_HEADER_WORDS.filter((re) => re.test(line)).length >= 3;
+}
+
+function expiryISO(s) {
+  if (!s) return null;
+  const ym = s.match(/^(\d{4})[.\-\/](\d{2})$/);
+  return ym ? `${ym[1]}-${ym[2]}` : toISO(s);
+}
+
+// Batch number / expiry date found on `line`, written onto `item` if unset
+function attachDetails(item, line) {
+  const batch = (line.match(BATCH_RE) || [])[1];
+  const expiry = expiryISO((line.match(EXPIRY_RE) || [])[1]);
+  if (batch && !item.batch) item.batch = batch;
+  if (expiry && !item.expiry_date) item.expiry_date = expiry;
+  return Boolean(batch || expiry);
+}
+
+// profile.lines: { layouts: [{ name, re }], header, stop, skip } (see lib/invoice-profiles.js)
+//
+// Rows are read between the column header row and the totals block (the whole
+// text when no header row is found). Lines that match no layout are either
+// batch / expiry details or wrapped description text. Wrapped text belongs to
+// the next row when that row is the first one or starts in lower case, else
+// to the row above.
+function parseLines(text, profile = null) {
+  const opts = profile?.lines || {};
+  const layouts = (opts.layouts || Object.keys(LAYOUTS))
+    .map((l) => (typeof l === "string" ? { name: l, re: LAYOUTS[l] } : l))
+    .filter((l) => l && l.re);
+  const stop = opts.stop || STOP;
+
+  const ls = linesOf(text);
+  const headerAt = ls.findIndex((l) => isTableHeader(l, opts.header));
+  const from = headerAt >= 0 ? headerAt + 1 : 0;
 
-  for (const raw of ls) {
+  const out = [];
+  let pending = [];
+  let lineNo = 0;
+  let endedAt = null;
+  let pageBreak = false;
+
+  const flushPending = () => {
+    const last = out[out.length - 1];
+    if (last && pending.length) last.description = norm([last.description, ...pending].join(" "));
+    pending = [];
+  };
+
+  for (let i = from; i < ls.length; i++) {
+    const raw = ls[i];
     if (!raw) continue;
-    if (STOP.test(raw)) break;
+    if (stop.test(raw) || (headerAt >= 0 && TOTALS_START_RE.test(raw))) { endedAt = i; break; }
+    if (opts.skip && opts.skip.test(raw)) continue;
+    if (VAT_SUMMARY_RE.test(raw)) {
+      if (headerAt >= 0) { endedAt = i; break; } // per-rate summary opens the totals block
+      continue;
+    }
+    if (PAGE_FOOTER_RE.test(raw)) { flushPending(); continue; }
+    if (headerAt >= 0 && isTableHeader(raw, opts.header)) { pageBreak = false; flushPending(); continue; } // repeated on the next page
+
+    // Invoice title repeated at the top of the next page: skip its header block
+    if (INVOICE_TITLE_RE.test(raw)) { pageBreak = true; flushPending(); continue; }
+
+    if (DETAIL_LINE_RE.test(raw) && !pageBreak) {
+      flushPending();
+      const last = out[out.length - 1];
+      if (last) attachDetails(last, raw);
+      continue;
+    }
 
     let g = null, kind = null;
-    let m = raw.match(reFull);
-    if (m) { g = m.groups || {}; kind = "full"; }
-    else if ((m = raw.match(reFour))) { g = m.groups || {}; kind = "four"; }
-    else if ((m = raw.match(reMin))) { g = m.groups || {}; kind = "min"; }
-    if (!g) continue;
+    for (const l of layouts) {
+      const m = raw.match(l.re);
+      if (m) { g = m.groups || {}; kind = l.name; break; }
+    }
+
+    if (!g) {
+      // wrapped description text (only inside a detected table)
+      if (headerAt >= 0 && !pageBreak && /\p{L}{2,}/u.test(raw) && !REVERSE_CHARGE_RE.test(raw)) pending.push(raw);
+      continue;
+    }
+    pageBreak = false;
 
     lineNo += 1;
 
@@ -184,7 +594,7 @@ function parseLines(text) {
     let gross = g.gross ? num(g.gross) : null;
 
     // For the four-column layout: sum is net (no VAT column on row)
-    if (kind === "four") {
+    if (g.sum != null && net == null) {
       net = num(g.sum);
       // header totals will provide VAT; we keep row vat null
     }
@@ -193,18 +603,162 @@ function parseLines(text) {
     if (!gross && net != null && vatRate != null) gross = +(net * (1 + vatRate/100)).toFixed(2);
     if (!vatAmt && gross != null && net != null) vatAmt = +(gross - net).toFixed(2);
 
-    out.push({
+    // Wrapped name: the text above is the start of this row's description
+    let sku = g.sku || null;
+    let description = norm(g.desc);
+    if (pending.length && (!out.length || /^\p{Ll}/u.test(raw))) {
+      if (sku && /^\d+$/.test(sku)) { description = `${sku} ${description}`; sku = null; }
+      description = norm([...pending, description].join(" "));
+      pending = [];
+    }
+    flushPending();
+
+    const item = {
       line_no: lineNo,
-      sku: g.sku || null,
-      description: norm(g.desc),
+      sku,
+      description,
       qty, unit, unit_price: price,
       vat_rate: vatRate,
       net, vat: vatAmt, gross,
+      batch: null,
+      expiry_date: null,
       _kind: kind
-    });
+    };
+    attachDetails(item, description);
+    out.push(item);
+  }
+  flushPending();
+
+  return {
+    matched: out.length,
+    lines: out,
+    table: headerAt >= 0 ? { header_line: headerAt + 1, end_line: endedAt != null ? endedAt + 1 : null } : null,
+  };
+}
+
+// ---------- invoice splitting ----------
+// One PDF can hold several invoices (or an invoice plus its credit note).
+// Split on repeated titles, but a title that repeats the previous invoice's
+// number (or has none) is just the next page of the same invoice; a credit
+// note always starts its own.
+function splitInvoices(text) {
+  const ls = String(text || "").split(/\r?\n/);
+  const starts = [];
+  ls.forEach((l, i) => {
+    const line = norm(l);
+    // "Kreditinė sąskaita pagal sąskaitą Nr. …" is a reference, not a title
+    if (INVOICE_TITLE_RE.test(line) && !ORIGINAL_INVOICE_RE.some((re) => re.test(line))) starts.push(i);
+  });
+
+  if (starts.length < 2) return [text];
+
+  // anything before the first title (logo, supplier block) belongs to the first invoice
+  starts[0] = 0;
+
+  const segments = [];
+  for (let k = 0; k < starts.length; k++) {
+    const chunk = ls.slice(starts[k], starts[k + 1]).join("\n");
+    const nr = ownInvoiceNumber(chunk);
+    const type = documentType(chunk);
+    const prev = segments[segments.length - 1];
+
+    if (prev && type === prev.type && (!nr || nr === prev.nr)) prev.text += "\n" + chunk;
+    else segments.push({ nr, type, text: chunk });
   }
 
-  return { matched: out.length, lines: out };
+  return segments.map((s) => s.text);
+}
+
+// ---------- invoice ----------
+// opts.catalogue: loadCatalogue() entries for item codes / categories
+// opts.registry:  loadRegistry() entries for veterinary medicines
+function parseInvoice(text, opts = {}) {
+  const segments = splitInvoices(text);
+  const invoices = segments.map((t) => parseSingleInvoice(t, opts));
+
+  // Top level stays the first invoice so single-invoice callers see no change
+  return {
+    ...invoices[0],
+    invoice_count: invoices.length,
+    invoices,
+  };
+}
+
+function parseSingleInvoice(text, { catalogue = [], registry = [] } = {}) {
+  // Supplier profile: by company / VAT code from the generic header, else by name
+  const generic = parseHeader(text);
+  const found = findProfile({
+    code: generic.supplier.code,
+    vatCode: generic.supplier.vat_code,
+    text,
+  });
+  const profile = found ? found.profile : null;
+
+  const header = profile ? parseHeader(text, profile) : generic;
+  let items = parseLines(text, profile);
+  let linesFallback = false;
+  if (profile && !items.matched) {
+    items = parseLines(text);
+    linesFallback = items.matched > 0;
+  }
+
+  if (header.invoice.document_type === "credit_note") applyCreditSign(header.invoice, items.lines);
+
+  // Compute totals if missing (and align four-col rows with header VAT if present)
+  const sumNet = items.lines.reduce((a, r) => a + (r.net || 0), 0);
+  const sumVat = items.lines.reduce((a, r) => a + (r.vat || 0), 0);
+  const sumGross = items.lines.reduce((a, r) => a + (r.gross || 0), 0);
+
+  // Remember which totals were filled from the lines: they can't be cross-checked
+  const derivedTotals = [];
+  if (header.invoice.total_net == null && sumNet) { header.invoice.total_net = +sumNet.toFixed(2); derivedTotals.push("total_net"); }
+  if (header.invoice.total_vat == null && sumVat) { header.invoice.total_vat = +sumVat.toFixed(2); derivedTotals.push("total_vat"); }
+  if (header.invoice.total_gross == null && sumGross) { header.invoice.total_gross = +sumGross.toFixed(2); derivedTotals.push("total_gross"); }
+
+  const vendor_hint = profile ? profile.name : null;
+  const catalogued = applyCatalogue(items.lines.map(({ _kind, ...r }) => r), header.supplier, catalogue);
+  const medicines = applyRegistry(catalogued, registry);
+  const lines = medicines.lines;
+
+  // Net cost per catalogue category (lines not in the catalogue → "uncategorized")
+  const byCategory = new Map();
+  for (const l of lines) {
+    const k = l.category || "uncategorized";
+    byCategory.set(k, +((byCategory.get(k) || 0) + (l.net || 0)).toFixed(2));
+  }
+  const category_totals = [...byCategory].map(([category, net]) => ({ category, net }));
+
+  // Company code / VAT code / IBAN checksums, so OCR slips don't reach the import
+  const warnings = [
+    ...validatePartyCodes("supplier", header.supplier),
+    ...validatePartyCodes("buyer", header.buyer),
+  ];
+
+  const validation = validateInvoice({ invoice: header.invoice, lines }, { derivedTotals, warnings });
+  const buyer_check = checkBuyer(header.buyer);
+  if (buyer_check.flagged) validation.auto_approve = false;
+
+  return {
+    supplier: header.supplier,
+    buyer: header.buyer,
+    buyer_check,
+    invoice: header.invoice,
+    lines,
+    category_totals,
+    medicine_check: {
+      matched: lines.filter((l) => l.medicine).length,
+      unregistered_lines: medicines.unregistered,
+    },
+    vendor_hint,
+    validation,
+    debug: {
+      text_len: text.length,
+      profile: profile ? { id: profile.id, matched_by: found.matched_by, lines_fallback: linesFallback } : null,
+      matched_lines: items.matched,
+      table: items.table,
+      kinds: items.lines.reduce((acc, r) => (acc[r._kind] = (acc[r._kind]||0)+1, acc), {})
+    }
+  };
 }
 
 // ---------- handler ----------
@@ -214,6 +768,12 @@ module.exports = async function handler(req, res) {
     return;
   }
 
+  const asOfProblem = asOfError(req);
+  if (asOfProblem) {
+    res.status(400).json({ error: asOfProblem });
+    return;
+  }
+
   try {
     const ct = (req.headers["content-type"] || "").toLowerCase();
     let pdfBuffer = null;
@@ -245,37 +805,42 @@ module.exports = async function handler(req, res) {
     }
 
     const parsed = await pdfParse(pdfBuffer);
-    const text = parsed.text || "";
-
-    const header = parseHeader(text);
-    const items = parseLines(text);
+    const { text, extraction } = await extractText(pdfBuffer, parsed);
 
-    // Compute totals if missing (and align four-col rows with header VAT if present)
-    const sumNet = items.lines.reduce((a, r) => a + (r.net || 0), 0);
-    const sumVat = items.lines.reduce((a, r) => a + (r.vat || 0), 0);
-    const sumGross = items.lines.reduce((a, r) => a + (r.gross || 0), 0);
-
-    if (header.invoice.total_net == null && sumNet) header.invoice.total_net = +sumNet.toFixed(2);
-    if (header.invoice.total_vat == null && sumVat) header.invoice.total_vat = +sumVat.toFixed(2);
-    if (header.invoice.total_gross == null && sumGross) header.invoice.total_gross = +sumGross.toFixed(2);
-
-    // Vendor hint for future vendor-specific tweaks
-    let vendor_hint = null;
-    if (/Kalnapil/i.test(text)) vendor_hint = "Kalnapilis";
-    if (/Avena/i.test(text)) vendor_hint = vendor_hint ? vendor_hint + ", Avena" : "Avena";
+    const result = parseInvoice(text, { catalogue: await loadCatalogue(), registry: await loadRegistry() });
+    result.extraction = extraction;
+    // OCR'd amounts always get a human look, on every invoice in the PDF
+    if (extraction.path === "ocr") {
+      for (const inv of [result, ...result.invoices]) inv.validation.auto_approve = false;
+    }
+    const upload_id = await recordFromRequest(req, "invoice", result);
+    const format = String(req.query?.format || "json").toLowerCase();
+    const fileBase = `invoice-${String(result.invoice.number || "unknown").replace(/[^\w.-]+/g, "_")}`;
 
     res.setHeader("Cache-Control", "no-store");
-    res.status(200).json({
-      supplier: header.supplier,
-      invoice: header.invoice,
-      lines: items.lines.map(({ _kind, ...r }) => r),
-      vendor_hint,
-      debug: {
-        text_len: text.length,
-        matched_lines: items.matched,
-        kinds: items.lines.reduce((acc, r) => (acc[r._kind] = (acc[r._kind]||0)+1, acc), {})
+
+    // ?format=isaf → i.SAF purchase XML, ?format=csv → one row per line
+    if (format === "isaf") {
+      const all = result.invoices || [result];
+      const skipped = all.length - isafDocuments(result).length;
+      if (skipped === all.length) {
+        res.status(422).json({ error: "Nothing to export: a proforma is not a VAT invoice.", upload_id });
+        return;
       }
-    });
+      if (skipped) res.setHeader("X-Isaf-Skipped-Proformas", String(skipped));
+      res.setHeader("Content-Type", "application/xml; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileBase}.xml"`);
+      res.status(200).send(toISAF(result, { registrationNumber: FARM.code }));
+      return;
+    }
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileBase}.csv"`);
+      res.status(200).send(toCSV(result));
+      return;
+    }
+
+    res.status(200).json({ ...result, upload_id });
   } catch (e) {
     console.error("[extractinvoice] ERROR:", e);
     res.status(500).json({ error: e?.message || "parse_error" });
@@ -283,3 +848,4 @@ module.exports = async function handler(req, res) {
 };
 
 module.exports.config = { api: { bodyParser: false } };
+module.exports.parseInvoice = parseInvoice;
@@ -1,5 +1,8 @@
 // api/extractpdf.js
-const pdfParse = require("pdf-parse");
+const { parsePdfWithLayout, textLines, columnBounds, lineCells } = require("../lib/pdf-layout.js");
+const { extractText } = require("../lib/ocr.js");
+const { asOfError, recordFromRequest } = require("../lib/herd-store.js");
+const { loadSpecies, compileSpecies } = require("../lib/species.js");
 
 // ---------- helpers ----------
 function toISO(d) {
@@ -28,59 +31,6 @@ function normalizeOneLine(s) {
     .trim();
 }
 
-function normalizeLithuanianSpecies(s) {
-  if (!s) return null;
-
-  const x = String(s).trim().toLowerCase();
-
-  const map = {
-    galvijai: "galvijai",
-    arkliai: "arkliai",
-    avys: "avys",
-    avis: "avys",
-    ožkos: "ozkos",
-    ozkos: "ozkos",
-    kiaulės: "kiaules",
-    kiaules: "kiaules",
-    vištos: "vistos",
-    vistos: "vistos",
-    triušiai: "triusiai",
-    triusiai: "triusiai",
-    paukščiai: "pauksciai",
-    pauksciai: "pauksciai",
-  };
-
-  return map[x] || x;
-}
-
-function normalizeSex(s) {
-  if (!s) return null;
-
-  const x = String(s).trim().toLowerCase();
-
-  // Galvijai
-  if (x.startsWith("buliuk")) return "Buliukas";
-  if (x.startsWith("buliu")) return "Bulius";
-  if (x.startsWith("karv")) return "Karvė";
-  if (x.startsWith("tely")) return "Telyčaitė";
-
-  // Arkliai
-  if (x.startsWith("eržil") || x.startsWith("erzil")) return "Eržilas";
-  if (x.startsWith("kumel")) return "Kumelė";
-  if (x.startsWith("kastr")) return "Kastratas";
-
-  // Other animals / future
-  if (x.startsWith("avinas")) return "Avinas";
-  if (x.startsWith("avis")) return "Avis";
-  if (x.startsWith("ėriuk") || x.startsWith("eriuk")) return "Ėriukas";
-  if (x.startsWith("ožka") || x.startsWith("ozka")) return "Ožka";
-  if (x.startsWith("ožys") || x.startsWith("ozys")) return "Ožys";
-  if (x.startsWith("paršav") || x.startsWith("parsav")) return "Paršavedė";
-  if (x.startsWith("kuil")) return "Kuilys";
-
-  return String(s).charAt(0).toUpperCase() + String(s).slice(1).toLowerCase();
-}
-
 function parseAge(raw) {
   if (raw === null || raw === undefined || raw === "") return null;
 
@@ -102,28 +52,23 @@ function parseCount(raw) {
   return n;
 }
 
-const SPECIES_WORDS =
-  "Galvijai|Arkliai|Avys|Avis|Ožkos|Ozkos|Kiaulės|Kiaules|Triušiai|Triusiai";
+// Species labels, sex words and ID patterns come from lib/species.js; every
+// parser below takes the compiled registry as `sp`
+const DEFAULT_SPECIES = compileSpecies();
 
-const GROUPED_SPECIES_WORDS =
-  "Vištos|Vistos|Paukščiai|Pauksciai|Galvijai|Arkliai|Avys|Avis|Ožkos|Ozkos|Kiaulės|Kiaules|Triušiai|Triusiai";
-
-const SEX_WORDS =
-  "Telyčaitė|Telycaite|Telytė|Telyte|Telyčia|Telycia|Buliukas|Bulius|Karvė|Karve|Eržilas|Erzilas|Kumelė|Kumele|Kastratas|Avis|Avinas|Ėriukas|Eriukas|Ožka|Ozka|Ožys|Ozys|Paršavedė|Parsavede|Kuilys";
-
-function normalizeBreedSpacing(s) {
+function normalizeBreedSpacing(s, sp) {
   if (!s) return null;
 
   return String(s)
     .replace(
-      new RegExp(`(${SEX_WORDS})(?=[A-ZĄČĘĖĮŠŲŪŽ])`, "g"),
+      new RegExp(`(${sp.sexWords})(?=[A-ZĄČĘĖĮŠŲŪŽ])`, "g"),
       "$1 "
     )
     .replace(/\s+/g, " ")
     .trim();
 }
 
-function cleanBreed(s) {
+function cleanBreed(s, sp) {
   if (!s) return null;
 
   const cleaned = String(s)
@@ -134,7 +79,7 @@ function cleanBreed(s) {
     .replace(/\bIš viso ataskaitoje\b/gi, "")
     .replace(/\bIš viso registruota grupėmis\b/gi, "")
     .replace(/\bDeklaruota gyvūnų\b/gi, "")
-    .replace(new RegExp(`^(${SEX_WORDS})\\s*`, "i"), "")
+    .replace(new RegExp(`^(${sp.sexWords})\\s*`, "i"), "")
     .trim();
 
   return cleaned || null;
@@ -158,19 +103,19 @@ function cleanName(s) {
   return name || null;
 }
 
-function findSexMatch(s) {
+function findSexMatch(s, sp) {
   if (!s) return null;
 
-  const normalized = normalizeBreedSpacing(s);
-  const re = new RegExp(`(${SEX_WORDS})`, "i");
+  const normalized = normalizeBreedSpacing(s, sp);
+  const re = new RegExp(`(${sp.sexWords})`, "i");
 
   return normalized.match(re);
 }
 
-function splitMiddleIntoNameSexBreed(middle) {
-  const cleanMiddle = normalizeBreedSpacing(normalizeOneLine(middle));
+function splitMiddleIntoNameSexBreed(middle, sp, species) {
+  const cleanMiddle = normalizeBreedSpacing(normalizeOneLine(middle), sp);
 
-  const sexMatch = findSexMatch(cleanMiddle);
+  const sexMatch = findSexMatch(cleanMiddle, sp);
 
   if (!sexMatch) {
     return {
@@ -188,30 +133,30 @@ function splitMiddleIntoNameSexBreed(middle) {
 
   return {
     name: cleanName(nameRaw),
-    sex: normalizeSex(sexRaw),
-    breed: cleanBreed(breedRaw),
+    sex: sp.sexLabel(sexRaw, species),
+    breed: cleanBreed(breedRaw, sp),
   };
 }
 
-function fixSexBreed(row) {
+function fixSexBreed(row, sp) {
   if (!row) return row;
 
   if (row.sex) {
-    row.breed = cleanBreed(normalizeBreedSpacing(row.breed));
+    row.breed = cleanBreed(normalizeBreedSpacing(row.breed, sp), sp);
     return row;
   }
 
-  const breed = row.breed ? normalizeBreedSpacing(row.breed) : "";
+  const breed = row.breed ? normalizeBreedSpacing(row.breed, sp) : "";
 
   if (!breed) return row;
 
-  const gluedSexRe = new RegExp(`^(${SEX_WORDS})\\s*(.*)$`, "i");
+  const gluedSexRe = new RegExp(`^(${sp.sexWords})\\s*(.*)$`, "i");
   const m = breed.match(gluedSexRe);
 
   if (!m) return row;
 
-  row.sex = normalizeSex(m[1]);
-  row.breed = cleanBreed(m[2]);
+  row.sex = sp.sexLabel(m[1], row.species);
+  row.breed = cleanBreed(m[2], sp);
 
   return row;
 }
@@ -243,14 +188,98 @@ function getHeaderDebug(originalText) {
   };
 }
 
-function isValidTag(tag) {
-  if (!tag) return false;
+// ---------- layout animal parser ----------
+// VIC live-animal table columns, left to right; titles may wrap onto a second
+// header line ("Eil." / "Nr."), so each is matched on its first word
+const VIC_COLUMNS = [
+  { key: "row_index", re: /^Eil\b/i },
+  { key: "species", re: /^R[ūu][šs]is\b/i },
+  { key: "tag_no", re: /^[ŽZ]enklinimo\b/i },
+  { key: "name", re: /^Vardas\b/i },
+  { key: "sex", re: /^Lytis\b/i },
+  { key: "breed", re: /^Veisl/i },
+  { key: "birth_date", re: /^Gimimo\b/i },
+  { key: "age_months", re: /^Am[žz]ius\b/i },
+  { key: "passport", re: /^Pasas\b/i, optional: true },
+];
+
+// Header titles sit within this distance (PDF units) of the "Rūšis" title
+const HEADER_BAND = 14;
+
+const TABLE_END_RE =
+  /www\.zudc\.lt|Gyvų gyvūnų sąrašas|Sugrupuota statistika|I[šs]\s+viso|Deklaruota\s+gyvūnų|Grup[ėe]\s+Gyvūnų/i;
+
+// Rebuilds the table rows from the text item coordinates, so name, sex and
+// breed come from their own columns. Lines without a row number are wrapped
+// cell text: added to the row above, or to the next row before the first one.
+function parseIndividualAnimalsFromLayout(pages, sp) {
+  const rows = [];
+  const speciesRe = new RegExp(`^(?:${sp.speciesWords})$`, "i");
+  let tablePages = 0;
+
+  for (const { items } of pages || []) {
+    const speciesTitle = items.find((i) => VIC_COLUMNS[1].re.test(i.str.trim()));
+    if (!speciesTitle) continue;
+
+    const band = items.filter((i) => Math.abs(i.y - speciesTitle.y) <= HEADER_BAND);
+    const bounds = columnBounds(band, VIC_COLUMNS);
+    if (!bounds) continue;
+    tablePages++;
+
+    const bandBottom = Math.min(...band.map((i) => i.y));
+    const lines = textLines(items.filter((i) => i.y < bandBottom - 1));
+    const cellRows = [];
+    let pending = {};
+
+    for (const line of lines) {
+      if (TABLE_END_RE.test(line.text)) break;
+
+      const cells = lineCells(line, bounds);
+      if (/^\d{1,6}$/.test(cells.row_index || "")) {
+        cellRows.push(joinCells(pending, cells));
+        pending = {};
+      } else if (cellRows.length) {
+        cellRows[cellRows.length - 1] = joinCells(cellRows[cellRows.length - 1], cells);
+      } else {
+        pending = joinCells(pending, cells);
+      }
+    }
+
+    for (const c of cellRows) {
+      const speciesRaw = (c.species || "").trim();
+      if (!speciesRe.test(speciesRaw)) continue;
+
+      const species = sp.speciesId(speciesRaw);
+      const row = {
+        row_index: Number(c.row_index),
+        species,
+        species_label: speciesRaw,
+        tag_no: (c.tag_no || "").replace(/\s+/g, ""),
+        name: c.name ? c.name.replace(/\s+/g, " ").trim() : null,
+        sex: c.sex ? sp.sexLabel(c.sex.replace(/\s+/g, ""), species) : null,
+        breed: cleanBreed(c.breed, sp),
+        birth_date: toISO((c.birth_date || "").replace(/\s+/g, "")),
+        age_months: parseAge(c.age_months),
+        passport: c.passport ? c.passport.replace(/\s+/g, "") : null,
+        row_type: "individual",
+        source: "vic_pdf",
+      };
+
+      if (row.row_index && sp.isValidTag(row.tag_no, species) && row.birth_date) rows.push(row);
+    }
+  }
+
+  return { rows, tablePages };
+}
 
-  return /^(?:[A-Z]{2,3}\d+|\d{8,20})$/i.test(String(tag).trim());
+function joinCells(a, b) {
+  const out = { ...a };
+  for (const [k, v] of Object.entries(b)) out[k] = out[k] ? `${out[k]} ${v}` : v;
+  return out;
 }
 
 // ---------- individual animal parser ----------
-function parseIndividualAnimalsFromText(originalText) {
+function parseIndividualAnimalsFromText(originalText, sp) {
   const text = normalizeText(originalText || "");
   const oneLine = normalizeOneLine(text);
 
@@ -262,8 +291,8 @@ function parseIndividualAnimalsFromText(originalText) {
   const rowRe = new RegExp(
     [
       `(\\d{1,6})`,                            // row index
-      `\\s*(${SPECIES_WORDS})`,                // species
-      `\\s*((?:[A-Z]{2,3}\\d+|\\d{8,20}))`,   // tag number / horse chip
+      `\\s*(${sp.speciesWords})`,              // species
+      `\\s*((?:${sp.tagPattern}))`,           // tag number / chip / EID
       `\\s*([\\s\\S]*?)`,                      // name + sex + breed
       `(\\d{4}[-./]\\d{2}[-./]\\d{2}|\\d{2}[-./]\\d{2}[-./]\\d{4})`, // date
       `\\s*(\\d+(?:[,.]\\d+)?)`,              // age
@@ -284,9 +313,9 @@ function parseIndividualAnimalsFromText(originalText) {
     const ageRaw = m[6];
     const passportRaw = m[7] || null;
 
-    const species = normalizeLithuanianSpecies(speciesRaw);
+    const species = sp.speciesId(speciesRaw);
 
-    const { name, sex, breed } = splitMiddleIntoNameSexBreed(middle);
+    const { name, sex, breed } = splitMiddleIntoNameSexBreed(middle, sp, species);
 
     let row = {
       row_index: rowIndex,
@@ -303,12 +332,12 @@ function parseIndividualAnimalsFromText(originalText) {
       source: "vic_pdf",
     };
 
-    row = fixSexBreed(row);
+    row = fixSexBreed(row, sp);
 
     if (
       row.row_index &&
       row.species &&
-      isValidTag(row.tag_no) &&
+      sp.isValidTag(row.tag_no, row.species) &&
       row.birth_date
     ) {
       rows.push(row);
@@ -339,7 +368,7 @@ function parseIndividualAnimalsFromText(originalText) {
 }
 
 // ---------- grouped animal parser ----------
-function parseGroupedAnimalsFromText(originalText) {
+function parseGroupedAnimalsFromText(originalText, sp) {
   const text = normalizeText(originalText || "");
 
   const groups = [];
@@ -376,8 +405,9 @@ function parseGroupedAnimalsFromText(originalText) {
 
     if (!insideGroupedTable) continue;
 
+    // unit is optional: the species' default unit fills in
     const rowRe = new RegExp(
-      `^(\\d{1,6})\\s+(${GROUPED_SPECIES_WORDS})\\s+(.+?)\\s+(\\d+(?:[,.]\\d+)?)\\s+([A-ZĄČĘĖĮŠŲŪŽa-ząčęėįšųūž.]+)$`,
+      `^(\\d{1,6})\\s+(${sp.groupedSpeciesWords})\\s+(.+?)\\s+(\\d+(?:[,.]\\d+)?)(?:\\s+([A-ZĄČĘĖĮŠŲŪŽa-ząčęėįšųūž.]+))?$`,
       "iu"
     );
 
@@ -389,17 +419,20 @@ function parseGroupedAnimalsFromText(originalText) {
     const speciesRaw = m[2];
     const groupName = m[3].trim();
     const count = parseCount(m[4]);
-    const unit = m[5].trim();
+    const species = sp.speciesId(speciesRaw);
+    const unit = m[5] ? m[5].trim() : sp.unitFor(species);
 
     if (!rowIndex || !speciesRaw || count === null) continue;
 
     groups.push({
       row_index: rowIndex,
-      species: normalizeLithuanianSpecies(speciesRaw),
+      species,
       species_label: speciesRaw,
       group: groupName,
+      registration_no: sp.registrationIn(groupName, species),
       animal_count: count,
       unit,
+      unit_source: m[5] ? "report" : "species_default",
       row_type: "group",
       source: "vic_pdf",
     });
@@ -408,7 +441,7 @@ function parseGroupedAnimalsFromText(originalText) {
   // Also parse final summary grouped section:
   // Vištos (Iš viso) 9 vnt.
   const summaryRe = new RegExp(
-    `(${GROUPED_SPECIES_WORDS})\\s*\\((.*?)\\)\\s+(\\d+(?:[,.]\\d+)?)\\s+([A-ZĄČĘĖĮŠŲŪŽa-ząčęėįšųūž.]+)`,
+    `(${sp.groupedSpeciesWords})\\s*\\((.*?)\\)\\s+(\\d+(?:[,.]\\d+)?)\\s+([A-ZĄČĘĖĮŠŲŪŽa-ząčęėįšųūž.]+)`,
     "giu"
   );
 
@@ -418,7 +451,7 @@ function parseGroupedAnimalsFromText(originalText) {
   while ((sm = summaryRe.exec(text)) !== null) {
     groups.push({
       row_index: syntheticIndex++,
-      species: normalizeLithuanianSpecies(sm[1]),
+      species: sp.speciesId(sm[1]),
       species_label: sm[1],
       group: sm[2].trim(),
       animal_count: parseCount(sm[3]),
@@ -438,14 +471,245 @@ function parseGroupedAnimalsFromText(originalText) {
   });
 }
 
+// ---------- report metadata ----------
+const REPORT_DATE = `(\\d{4}[-./]\\d{2}[-./]\\d{2}|\\d{2}[-./]\\d{2}[-./]\\d{4})`;
+
+// Label → value on the same line, or on the next line when the label stands alone
+function labeledValue(lines, labelRe) {
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(labelRe);
+    if (!m) continue;
+
+    const rest = lines[i].slice(m.index + m[0].length).replace(/^\s*:?\s*/, "").trim();
+    if (rest) return rest;
+    if (lines[i + 1]) return lines[i + 1];
+  }
+  return null;
+}
+
+function labeledCount(text, labelRe) {
+  const m = text.match(new RegExp(`${labelRe.source}\\s*:?\\s*(\\d+)`, "i"));
+  return m ? Number(m[1]) : null;
+}
+
+// "UAB Pienas (123456789)" / "Jonas Jonaitis, a.k. 38001010000" → { name, code }
+function splitKeeper(raw) {
+  if (!raw) return { name: null, code: null };
+
+  const m = raw.match(/^(.*?)[\s,(]*(?:(?:a\.\s*k\.|[įi]m\.\s*k(?:odas)?\.?|kodas)\s*:?\s*)?\(?(\d{7,11})\)?\s*$/i);
+  if (!m) return { name: raw.trim() || null, code: null };
+
+  return { name: m[1].replace(/[\s,]+$/, "").trim() || null, code: m[2] };
+}
+
+// Header and footer of the live-animal report, with the report's own totals
+// checked against what was extracted so a truncated parse is flagged
+function parseReportMeta(originalText, rows, groupedRows) {
+  const text = normalizeText(originalText || "");
+  const lines = text
+    .split(/\n/)
+    .map((s) => s.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const keeper = splitKeeper(labeledValue(lines, /^(?:\d+\.\s*)?Laikytojas\b/i));
+  if (!keeper.code) {
+    const code = labeledValue(lines, /Laikytojo\s+kodas\b/i);
+    keeper.code = code && /^\d{7,11}\b/.test(code) ? code.match(/^\d+/)[0] : null;
+  }
+
+  const idValue = (re) => {
+    const v = labeledValue(lines, re);
+    const m = v && v.match(/^[A-Z]{0,3}\d[\w-]*/i);
+    return m ? m[0] : null;
+  };
+
+  const dateMatch =
+    text.match(new RegExp(`(?:Ataskaitos\\s+data|Sudarymo\\s+data|Spausdinimo\\s+data|(?:Ataskaita\\s+)?(?:sudaryta|suformuota|sugeneruota|atspausdinta))\\s*:?\\s*${REPORT_DATE}`, "i")) ||
+    text.match(new RegExp(`(?:^|\\n)\\s*Data\\s*:?\\s*${REPORT_DATE}`, "i"));
+
+  const totals = {
+    in_report: labeledCount(text, /I[šs]\s+viso\s+ataskaitoje/),
+    declared: labeledCount(text, /Deklaruota\s+gyv[ūu]n[ųu]/),
+    in_groups: labeledCount(text, /I[šs]\s+viso\s+registruota\s+grup[ėe]mis/),
+  };
+
+  // Summary rows ("Vištos (Iš viso) 9 vnt.") repeat the group rows
+  const groupedAnimals = groupedRows
+    .filter((r) => r.source !== "vic_pdf_summary")
+    .reduce((a, r) => a + (r.animal_count || 0), 0);
+
+  const issues = [];
+  if (totals.in_report == null) {
+    issues.push("Report total (Iš viso ataskaitoje) not found; cannot confirm all rows were read.");
+  } else if (totals.in_report !== rows.length && totals.in_report !== rows.length + groupedAnimals) {
+    issues.push(
+      `Report lists ${totals.in_report} animals, extracted ${rows.length} individual` +
+        (groupedAnimals ? ` + ${groupedAnimals} in groups.` : ".")
+    );
+  }
+  if (totals.in_groups != null && totals.in_groups !== groupedAnimals) {
+    issues.push(`Report lists ${totals.in_groups} animals in groups, extracted ${groupedAnimals}.`);
+  }
+
+  return {
+    keeper,
+    herd_number: idValue(/Band(?:os|a)\s+(?:Nr\.?|numeris)/i),
+    holding_number: idValue(/(?:Valdos|Laikymo\s+vietos|[ŪU]kio)\s+(?:Nr\.?|numeris|kodas)/i),
+    address: labeledValue(lines, /^(?:Laikymo\s+vietos\s+)?Adresas\b/i),
+    report_date: dateMatch ? toISO(dateMatch[1]) : null,
+    totals,
+    check: {
+      individual_rows: rows.length,
+      grouped_animals: groupedAnimals,
+      complete: totals.in_report == null ? null : !issues.length,
+      issues,
+    },
+  };
+}
+
+// ---------- event reports ----------
+// VIC reports other than the live-animal list, told apart by their title
+// `title` is the wording of a report title, tried before the generic word
+// stems in `re`; both are only matched against the title line
+const REPORT_TYPES = [
+  { type: "live_animals", title: /Gyv[ųu]\s+gyv[ūu]n[ųu]\s+s[ąa]ra[šs]as/i, re: null },
+  { type: "deaths", title: /krit[ęeu]si[ųu]|nugai[šs]usi[ųu]/i, re: /krit[ųu]s|krit[ię]m|nugai[šs]|gai[šs]/i },
+  { type: "slaughter", title: /paskerst[ųu]|skerdim/i, re: /skerd|paskerst/i },
+  { type: "births", title: /gimusi[ųu]|atvest[ųu]/i, re: /gimim|atvest[ųu]/i },
+  { type: "movements", title: /jud[ėe]jim/i, re: /jud[ėe]jim/i },
+];
+
+// A title line names the document; a table header starts with "Eil. Nr."
+const TITLE_WORDS = /s[ąa]ra[šs]as|ataskait|registr|apskait|[žz]urnal/i;
+const TABLE_HEADER = /^Eil\.\s*Nr\./i;
+
+// Row wording → event; slaughter is tried before death ("paskerstas" is not a
+// loss), and a sale names its buyer ("pirkėjas") while a purchase names its
+// seller ("pardavėjas"), so the bare "pirk" / "pardav" stems are not used
+const EVENT_WORDS = [
+  { type: "slaughter", re: /skerd|paskerst/i },
+  { type: "death", re: /krit|nugai[šs]|gai[šs]|[žz]uv|nudob/i },
+  { type: "birth", re: /gim[ęe]|atvest|apsiver[šs]/i },
+  { type: "sale_out", re: /i[šs]ve[žz]|i[šs]vyk|parduot|pardavim|pirk[ėe]j/i },
+  { type: "purchase_in", re: /atve[žz]|atvyk|[įi]ve[žz]|nupirkt|[įi]pirkt|[įi]sigy|pardav[ėe]j/i },
+];
+
+const REPORT_EVENT = { births: "birth", deaths: "death", slaughter: "slaughter" };
+
+// Holding (laikymo vietos) numbers are shorter than animal IDs
+const HOLDING_RE = /^(?:[A-Z]{2})?\d{5,9}$/i;
+
+function reportTitle(text) {
+  const head = text
+    .split(/\n/)
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .slice(0, 12)
+    .filter((l) => !TABLE_HEADER.test(l));
+  return head.find((l) => TITLE_WORDS.test(l)) || head[0] || "";
+}
+
+function detectReportType(originalText) {
+  const text = normalizeText(originalText || "");
+  const title = reportTitle(text);
+
+  const byTitle = REPORT_TYPES.find((t) => t.title.test(title)) || REPORT_TYPES.find((t) => t.re?.test(title));
+  if (byTitle) return byTitle.type;
+
+  return "live_animals";
+}
+
+// One event per line with an animal ID and a date (the last one on the line).
+// The animal ID is the longest ID on the line; a shorter holding number is
+// the counterparty.
+function parseEventsFromText(originalText, reportType, sp) {
+  const text = normalizeText(originalText || "");
+  const lines = text
+    .split(/\n/)
+    .map((s) => s.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const dateRe = /\b(\d{4}[-./]\d{2}[-./]\d{2}|\d{2}[-./]\d{2}[-./]\d{4})\b/;
+  const speciesRe = new RegExp(`(?:^|\\s)(${sp.speciesWords})(?=\\s|$)`, "i");
+  const events = [];
+
+  for (const line of lines) {
+    // rows may print the birth date first; the event date is the last one
+    const date = [...line.matchAll(new RegExp(dateRe.source, "g"))].pop();
+    if (!date) continue;
+
+    const tokens = line.split(" ").map((t) => t.replace(/[,;]$/, ""));
+    const ids = tokens.filter((t) => sp.isValidTag(t) && !HOLDING_RE.test(t));
+    if (!ids.length) continue;
+
+    const tag = ids.sort((a, b) => b.length - a.length)[0];
+    const holding = tokens.find((t) => t !== tag && HOLDING_RE.test(t) && !dateRe.test(t)) || null;
+    const word = EVENT_WORDS.find((w) => w.re.test(line));
+    const type = word ? word.type : REPORT_EVENT[reportType] || null;
+    if (!type) continue;
+
+    const speciesRaw = line.match(speciesRe)?.[1] || null;
+    const index = line.match(/^(\d{1,6})\s/);
+
+    events.push({
+      row_index: index ? Number(index[1]) : null,
+      type,
+      date: toISO(date[1]),
+      tag_no: tag,
+      species: speciesRaw ? sp.speciesId(speciesRaw) : null,
+      counterparty_holding: holding,
+      reason: line.slice(date.index + date[0].length).trim() || null,
+      source: "vic_pdf",
+    });
+  }
+
+  return events;
+}
+
+// Typed events from a movement / birth / death / slaughter report
+function parseEventReport(text, reportType, { species = DEFAULT_SPECIES } = {}) {
+  const events = parseEventsFromText(text, reportType, species);
+
+  const eventCounts = {};
+  for (const e of events) eventCounts[e.type] = (eventCounts[e.type] || 0) + 1;
+
+  return {
+    events,
+    report: parseReportMeta(text, events, []),
+    debug: { report_type: reportType, event_counts: eventCounts },
+  };
+}
+
 // ---------- main parser ----------
-function parseAnimalsFromText(text) {
-  const individualResult = parseIndividualAnimalsFromText(text);
-  const groupedRows = parseGroupedAnimalsFromText(text);
+// Layout rows win; a row only the date-anchored text parser found is kept as
+// its fallback. A text row whose tag or table row (Eil. Nr.) the layout parser
+// already has is dropped, so a misread tag cannot duplicate the layout row.
+// `layout` is the pages from lib/pdf-layout.js (none for OCR text).
+function mergeIndividualRows(layoutRows, textRows) {
+  const key = (r) => `${r.species}:${r.tag_no}`;
+  const seen = new Set(layoutRows.map(key));
+  const takenRows = new Set(layoutRows.map((r) => r.row_index).filter((i) => i != null));
+
+  return [
+    ...layoutRows.map((r) => ({ row: r, mode: "layout" })),
+    ...textRows
+      .filter((r) => !seen.has(key(r)) && !takenRows.has(r.row_index))
+      .map((r) => ({ row: r, mode: "date_anchored_global" })),
+  ].sort((a, b) => a.row.row_index - b.row.row_index);
+}
+
+function parseAnimalsFromText(text, { layout = null, species = DEFAULT_SPECIES } = {}) {
+  const individualResult = parseIndividualAnimalsFromText(text, species);
+  const groupedRows = parseGroupedAnimalsFromText(text, species);
+  const layoutResult = parseIndividualAnimalsFromLayout(layout, species);
+
+  const merged = mergeIndividualRows(layoutResult.rows, individualResult.rows);
+  const rows = merged.map((m) => m.row);
+  const modes = new Set(merged.map((m) => m.mode));
 
   const speciesCounts = {};
 
-  for (const r of individualResult.rows) {
+  for (const r of rows) {
     speciesCounts[r.species] = (speciesCounts[r.species] || 0) + 1;
   }
 
@@ -456,11 +720,16 @@ function parseAnimalsFromText(text) {
   }
 
   return {
-    rows: individualResult.rows,
+    rows,
     groupedRows,
+    report: parseReportMeta(text, rows, groupedRows),
     debug: {
       ...individualResult.debug,
-      individual_count: individualResult.rows.length,
+      parser_mode: modes.size > 1 ? "mixed" : [...modes][0] || individualResult.debug.parser_mode,
+      row_parser_modes: merged.map((m) => ({ row_index: m.row.row_index, tag_no: m.row.tag_no, parser_mode: m.mode })),
+      layout_table_pages: layoutResult.tablePages,
+      layout_matched: layoutResult.rows.length,
+      individual_count: rows.length,
       grouped_count: groupedRows.length,
       species_counts: speciesCounts,
       grouped_species_counts: groupedSpeciesCounts,
@@ -475,6 +744,12 @@ module.exports = async function handler(req, res) {
     return;
   }
 
+  const asOfProblem = asOfError(req);
+  if (asOfProblem) {
+    res.status(400).json({ error: asOfProblem });
+    return;
+  }
+
   try {
     const ct = (req.headers["content-type"] || "").toLowerCase();
     let pdfBuffer = null;
@@ -539,16 +814,52 @@ module.exports = async function handler(req, res) {
       return;
     }
 
-    const parsed = await pdfParse(pdfBuffer);
-    const { rows, groupedRows, debug } = parseAnimalsFromText(parsed.text || "");
+    const { parsed, pages } = await parsePdfWithLayout(pdfBuffer);
+    const { text, extraction } = await extractText(pdfBuffer, parsed);
+    const species = await loadSpecies();
+    const reportType = detectReportType(text);
 
     res.setHeader("Cache-Control", "no-store");
 
+    // movement / birth / death / slaughter reports → typed events
+    if (reportType !== "live_animals") {
+      const { events, report, debug } = parseEventReport(text, reportType, { species });
+      const uploadId = await recordFromRequest(req, "vic_events", { report_type: reportType, events, report });
+
+      res.status(200).json({
+        report_type: reportType,
+        count: events.length,
+        events,
+        report,
+        upload_id: uploadId,
+        extraction,
+        ...(species.warnings.length ? { species_warnings: species.warnings } : {}),
+        debug,
+      });
+      return;
+    }
+
+    const { rows, groupedRows, report, debug } = parseAnimalsFromText(text, {
+      layout: extraction.path === "text" ? pages : null,
+      species,
+    });
+
+    const uploadId = await recordFromRequest(req, "vic", {
+      animals: rows,
+      grouped_animals: groupedRows,
+      report,
+    });
+
     res.status(200).json({
+      report_type: reportType,
       count: rows.length,
       animals: rows,
       grouped_count: groupedRows.length,
       grouped_animals: groupedRows,
+      report,
+      upload_id: uploadId,
+      extraction,
+      ...(species.warnings.length ? { species_warnings: species.warnings } : {}),
       debug,
     });
   } catch (e) {
@@ -565,3 +876,7 @@ module.exports.config = {
     bodyParser: false,
   },
 };
+
+module.exports.parseAnimalsFromText = parseAnimalsFromText;
+module.exports.detectReportType = detectReportType;
+module.exports.parseEventReport = parseEventReport;
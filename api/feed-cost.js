@@ -0,0 +1,37 @@
+// api/feed-cost.js
+// Feed cost per litre of milk (lib/feed-cost.js).
+//
+//   GET ?from=YYYY-MM-DD&to=YYYY-MM-DD[&by=group][&milk_unit=l|kg]
+import { feedCostReport } from "../lib/feed-cost.js";
+
+const isISODate = (s) => typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res.status(405).json({ error: "Use GET" });
+    }
+
+    const q = req.query || {};
+
+    for (const k of ["from", "to"]) {
+      if (!isISODate(q[k])) return res.status(400).json({ error: `"${k}" must be YYYY-MM-DD` });
+    }
+    if (q.from > q.to) return res.status(400).json({ error: '"from" is after "to"' });
+    if (q.milk_unit && !["l", "kg"].includes(q.milk_unit)) {
+      return res.status(400).json({ error: '"milk_unit" must be "l" or "kg"' });
+    }
+
+    const report = await feedCostReport({
+      from: q.from,
+      to: q.to,
+      byGroup: q.by === "group",
+      milkUnit: q.milk_unit || "l",
+    });
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(report);
+  } catch (err) {
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
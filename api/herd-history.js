@@ -0,0 +1,80 @@
+// api/herd-history.js
+// Read-only queries over the uploads recorded by lib/herd-store.js.
+//
+//   GET ?view=uploads[&kind=vic|vic_events|gea|automatic|invoice][&from=&to=]
+//   GET ?view=herd&date=YYYY-MM-DD
+//   GET ?view=diff&from=<upload id|date>&to=<upload id|date>[&kind=vic]
+//   GET ?view=milk&cow=<tag or cow number>[&from=&to=]
+//   GET ?view=events[&cow=<tag>][&from=&to=]   (VIC movement / birth / death / slaughter reports)
+import {
+  KINDS,
+  listUploads,
+  herdOnDate,
+  diffUploads,
+  milkHistory,
+  animalEvents,
+} from "../lib/herd-store.js";
+
+const isISODate = (s) => typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res.status(405).json({ error: "Use GET" });
+    }
+
+    const q = req.query || {};
+    const view = q.view || "uploads";
+
+    for (const k of ["date", "from", "to"]) {
+      if (q[k] && view !== "diff" && !isISODate(q[k])) {
+        return res.status(400).json({ error: `"${k}" must be YYYY-MM-DD` });
+      }
+    }
+
+    if (q.kind && !KINDS.includes(q.kind)) {
+      return res.status(400).json({ error: "Unknown kind", kinds: KINDS });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+
+    if (view === "uploads") {
+      const uploads = await listUploads({ kind: q.kind, from: q.from, to: q.to });
+      return res.status(200).json({ count: uploads.length, uploads });
+    }
+
+    if (view === "herd") {
+      if (!q.date) return res.status(400).json({ error: 'Provide "date"' });
+      return res.status(200).json(await herdOnDate(q.date));
+    }
+
+    if (view === "diff") {
+      if (!q.from || !q.to) return res.status(400).json({ error: 'Provide "from" and "to"' });
+
+      const diff = await diffUploads(q.from, q.to, q.kind || "vic");
+      if (!diff) return res.status(404).json({ error: "Upload not found", from: q.from, to: q.to });
+
+      return res.status(200).json(diff);
+    }
+
+    if (view === "milk") {
+      if (!q.cow) return res.status(400).json({ error: 'Provide "cow"' });
+
+      const history = await milkHistory(q.cow, { from: q.from, to: q.to });
+      if (!history) return res.status(400).json({ error: "Unrecognised cow number", cow: q.cow });
+
+      return res.status(200).json(history);
+    }
+
+    if (view === "events") {
+      const events = await animalEvents({ from: q.from, to: q.to, tag: q.cow });
+      return res.status(200).json({ count: events.length, events });
+    }
+
+    return res.status(400).json({ error: "Unknown view", views: ["uploads", "herd", "diff", "milk", "events"] });
+  } catch (err) {
+    const msg = String(err?.message || err);
+    if (/different kinds/i.test(msg)) return res.status(400).json({ error: msg });
+    return res.status(500).json({ error: msg });
+  }
+}
@@ -3,6 +3,8 @@ import fs from 'fs';
 import fsp from 'fs/promises';
 import formidable from 'formidable';
 import { read, utils } from 'xlsx';
+import { toISODate, toTime, toNum, toBoolLT } from '../lib/cells.js';
+import { asOfError, recordFromRequest } from '../lib/herd-store.js';
 
 export const config = {
   api: { bodyParser: false, sizeLimit: '100mb' }
@@ -70,64 +72,8 @@ function dedupeHeaders(headers) {
   });
 }
 
-// ---------- cell normalizers ----------
-function toISODate(val) {
-  if (val == null) return null;
-  if (val instanceof Date) {
-    const y = val.getFullYear();
-    const m = String(val.getMonth()+1).padStart(2,'0');
-    const d = String(val.getDate()).padStart(2,'0');
-    return `${y}-${m}-${d}`;
-  }
-  const s = String(val).trim();
-  if (!s) return null;
-  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
-  let m = s.match(/^(\d{2})\.(\d{2})\.(\d{4})$/);           //  DD.MM.YYYY
-  if (m) return `${m[3]}-${m[2]}-${m[1]}`;
-  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);         //  M/D/YY(YY)
-  if (m) {
-    const mm = String(m[1]).padStart(2,'0');
-    const dd = String(m[2]).padStart(2,'0');
-    const yy = m[3].length === 2 ? `20${m[3]}` : m[3];
-    return `${yy}-${mm}-${dd}`;
-  }
-  return null;
-}
-function toTime(val) {
-  if (val == null) return null;
-  const s = String(val).trim();
-  if (!s) return null;
-  const m = s.match(/^(\d{1,2}):(\d{2})$/);
-  if (m) {
-    const hh = String(m[1]).padStart(2,'0');
-    return `${hh}:${m[2]}`;
-  }
-  return s;
-}
-function toNum(val) {
-  if (val == null) return null;
-  if (typeof val === 'number' && Number.isFinite(val)) return val;
-  let s = String(val).trim().replace(/\u00A0/g, ' ').replace(/\s+/g, '');
-  const lastComma = s.lastIndexOf(',');
-  const lastDot = s.lastIndexOf('.');
-  if (lastComma > lastDot) {
-    s = s.replace(/\./g, '').replace(',', '.');
-  } else {
-    s = s.replace(/,/g, '');
-  }
-  const n = Number(s);
-  return Number.isFinite(n) ? n : null;
-}
-function toBoolLT(val) {
-  if (val == null) return null;
-  const s = String(val).trim().toLowerCase();
-  if (['taip','true','1','yes'].includes(s)) return true;
-  if (['ne','false','0','no'].includes(s)) return false;
-  return null;
-}
-
 // normalize per column
-function normalizeRow(obj) {
+export function normalizeRow(obj) {
   const out = { ...obj };
 
   // tag alias
@@ -169,12 +115,80 @@ function normalizeRow(obj) {
 }
 
 // Excel → rows (AOA)
-function parseExcelBuffer(buf) {
+export function parseExcelBuffer(buf) {
   const wb = read(buf, { type: 'buffer', cellDates: true });
   const ws = wb.Sheets[wb.SheetNames[0]];
   return utils.sheet_to_json(ws, { header: 1, blankrows: false, raw: false, defval: null });
 }
 
+// AOA rows → { columns, rows, headerRow } (header detection + normalizeRow).
+// headerRow is the sheet's own header row, or null when fallback headers were
+// used; saving it as the snapshot is left to the ingest handler.
+export function parseGeaRows(rows, { preferEnv = false } = {}) {
+  // Decide headers
+  let headers = null;
+  let headerRow = null;
+  let dataStartIdx = 0;
+
+  if (detectHasHeader(rows[0])) {
+    headers = rows[0].map(normHdr);
+    headers = dedupeHeaders(headers);
+    dataStartIdx = 1;
+    if (headers.some(Boolean)) headerRow = headers.slice();
+
+    // 🔧 If AB header is blank but data has one extra cell, append 'kada versiuosis'
+    const maxCols = Math.max(...rows.slice(dataStartIdx).map(r => (Array.isArray(r) ? r.length : 0)));
+    const lower = headers.map(h => h.toLowerCase());
+    if (maxCols > headers.length && maxCols === headers.length + 1 && !lower.includes('kada versiuosis')) {
+      headers.push('kada versiuosis');
+    }
+  } else {
+    const snap = loadSnapshotHeaders();
+    const envHdrs = FALLBACK_FROM_ENV.length ? FALLBACK_FROM_ENV.map(normHdr) : null;
+    const built  = BUILTIN_FALLBACK.length ? BUILTIN_FALLBACK.map(normHdr)       : null;
+
+    // Priority: preferEnv→ENV, otherwise ENV→SNAPSHOT→BUILTIN
+    let pref = (preferEnv && envHdrs) || envHdrs || snap || built;
+
+    if (!pref) {
+      const maxLen = Math.max(...rows.map(r => (Array.isArray(r) ? r.length : 0)));
+      pref = Array.from({ length: maxLen }, (_, i) => `Col_${i+1}`);
+    }
+
+    // Merge if ENV longer than snapshot/builtin
+    if (snap && envHdrs && envHdrs.length > snap.length) {
+      const set = new Set(pref);
+      for (const h of envHdrs) if (!set.has(h)) { pref.push(h); set.add(h); }
+    }
+
+    headers = dedupeHeaders(pref);
+    dataStartIdx = 0;
+
+    // If the sheet still has more cells than fallback headers by exactly one, assume it's AB→'kada versiuosis'
+    const maxCols = Math.max(...rows.slice(dataStartIdx).map(r => (Array.isArray(r) ? r.length : 0)));
+    const lower = headers.map(h => h.toLowerCase());
+    if (maxCols > headers.length && maxCols === headers.length + 1 && !lower.includes('kada versiuosis')) {
+      headers.push('kada versiuosis');
+    }
+  }
+
+  // Build normalized objects
+  const H = headers.length;
+  const dataRows = rows.slice(dataStartIdx).map(r => {
+    const rr = Array.isArray(r) ? r.slice() : [];
+
+    // Resize to H (pad or truncate)
+    if (rr.length < H) rr.push(...Array(H - rr.length).fill(null));
+    if (rr.length > H) rr.length = H;
+
+    const obj = {};
+    for (let i = 0; i < H; i++) obj[headers[i]] = rr[i];
+    return normalizeRow(obj);
+  });
+
+  return { columns: headers, rows: dataRows, headerRow };
+}
+
 // Accept multipart (field "file") or raw octet-stream
 async function getUploadBuffer(req) {
   const ct = (req.headers['content-type'] || '').toLowerCase();
@@ -211,6 +225,12 @@ export default async function handler(req, res) {
       return;
     }
 
+    const asOfProblem = asOfError(req);
+    if (asOfProblem) {
+      res.status(400).json({ error: asOfProblem });
+      return;
+    }
+
     const preferEnv = req.query?.preferEnv === '1' || req.headers['x-gea-prefer-env'] === '1';
 
     const { buffer } = await getUploadBuffer(req);
@@ -220,70 +240,15 @@ export default async function handler(req, res) {
       return;
     }
 
-    // Decide headers
-    let headers = null;
-    let dataStartIdx = 0;
-
-    if (detectHasHeader(rows[0])) {
-      headers = rows[0].map(normHdr);
-      headers = dedupeHeaders(headers);
-      dataStartIdx = 1;
-      if (headers.some(Boolean)) await saveSnapshotHeaders(headers);
-
-      // 🔧 If AB header is blank but data has one extra cell, append 'kada versiuosis'
-      const maxCols = Math.max(...rows.slice(dataStartIdx).map(r => (Array.isArray(r) ? r.length : 0)));
-      const lower = headers.map(h => h.toLowerCase());
-      if (maxCols > headers.length && maxCols === headers.length + 1 && !lower.includes('kada versiuosis')) {
-        headers.push('kada versiuosis');
-      }
-    } else {
-      const snap = loadSnapshotHeaders();
-      const envHdrs = FALLBACK_FROM_ENV.length ? FALLBACK_FROM_ENV.map(normHdr) : null;
-      const built  = BUILTIN_FALLBACK.length ? BUILTIN_FALLBACK.map(normHdr)       : null;
-
-      // Priority: preferEnv→ENV, otherwise ENV→SNAPSHOT→BUILTIN
-      let pref = (preferEnv && envHdrs) || envHdrs || snap || built;
-
-      if (!pref) {
-        const maxLen = Math.max(...rows.map(r => (Array.isArray(r) ? r.length : 0)));
-        pref = Array.from({ length: maxLen }, (_, i) => `Col_${i+1}`);
-      }
-
-      // Merge if ENV longer than snapshot/builtin
-      if (snap && envHdrs && envHdrs.length > snap.length) {
-        const set = new Set(pref);
-        for (const h of envHdrs) if (!set.has(h)) { pref.push(h); set.add(h); }
-      }
-
-      headers = dedupeHeaders(pref);
-      dataStartIdx = 0;
-
-      // If the sheet still has more cells than fallback headers by exactly one, assume it's AB→'kada versiuosis'
-      const maxCols = Math.max(...rows.slice(dataStartIdx).map(r => (Array.isArray(r) ? r.length : 0)));
-      const lower = headers.map(h => h.toLowerCase());
-      if (maxCols > headers.length && maxCols === headers.length + 1 && !lower.includes('kada versiuosis')) {
-        headers.push('kada versiuosis');
-      }
-    }
-
-    // Build normalized objects
-    const H = headers.length;
-    const dataRows = rows.slice(dataStartIdx).map(r => {
-      const rr = Array.isArray(r) ? r.slice() : [];
-
-      // Resize to H (pad or truncate)
-      if (rr.length < H) rr.push(...Array(H - rr.length).fill(null));
-      if (rr.length > H) rr.length = H;
-
-      const obj = {};
-      for (let i = 0; i < H; i++) obj[headers[i]] = rr[i];
-      return normalizeRow(obj);
-    });
+    const { columns, rows: dataRows, headerRow } = parseGeaRows(rows, { preferEnv });
+    if (headerRow) await saveSnapshotHeaders(headerRow);
+    const uploadId = await recordFromRequest(req, 'gea', { columns, rows: dataRows });
 
     res.status(200).json({
-      columns: headers,
+      columns,
       count: dataRows.length,
-      rows: dataRows
+      rows: dataRows,
+      upload_id: uploadId
     });
   } catch (err) {
     const msg = String(err?.message || err);
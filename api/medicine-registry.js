@@ -0,0 +1,75 @@
+// api/medicine-registry.js
+// Veterinary medicine registry (lib/medicine-registry.js) and what was bought.
+//
+//   GET    ?view=stock[&from=YYYY-MM-DD&to=YYYY-MM-DD] → medicine lines from stored invoices
+//   GET                                              → all registry entries
+//   GET    ?id=med-…                                 → one entry
+//   POST   { name, active_substance?, pattern?, withdrawal_milk_days?, withdrawal_meat_days?, notes? }
+//   PUT    ?id=med-…  { …fields to change }
+//   DELETE ?id=med-…
+import {
+  listMedicines,
+  getMedicine,
+  createMedicine,
+  updateMedicine,
+  deleteMedicine,
+  medicinePurchases,
+} from "../lib/medicine-registry.js";
+import { readJsonBody } from "../lib/uploads.js";
+
+export const config = {
+  api: { bodyParser: false },
+};
+
+const isISODate = (s) => typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+export default async function handler(req, res) {
+  try {
+    const q = req.query || {};
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "GET") {
+      if (q.view === "stock") {
+        for (const k of ["from", "to"]) {
+          if (q[k] && !isISODate(q[k])) return res.status(400).json({ error: `"${k}" must be YYYY-MM-DD` });
+        }
+        return res.status(200).json(await medicinePurchases({ from: q.from || null, to: q.to || null }));
+      }
+
+      if (q.id) {
+        const medicine = await getMedicine(q.id);
+        if (!medicine) return res.status(404).json({ error: "Medicine not found", id: q.id });
+        return res.status(200).json(medicine);
+      }
+
+      const medicines = await listMedicines();
+      return res.status(200).json({ count: medicines.length, medicines });
+    }
+
+    if (req.method === "POST") {
+      const medicine = await createMedicine(await readJsonBody(req));
+      return res.status(201).json(medicine);
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      if (!q.id) return res.status(400).json({ error: 'Provide "id"' });
+
+      const medicine = await updateMedicine(q.id, await readJsonBody(req));
+      if (!medicine) return res.status(404).json({ error: "Medicine not found", id: q.id });
+      return res.status(200).json(medicine);
+    }
+
+    if (req.method === "DELETE") {
+      if (!q.id) return res.status(400).json({ error: 'Provide "id"' });
+
+      if (!(await deleteMedicine(q.id))) return res.status(404).json({ error: "Medicine not found", id: q.id });
+      return res.status(200).json({ deleted: q.id });
+    }
+
+    return res.status(405).json({ error: "Use GET, POST, PUT or DELETE" });
+  } catch (err) {
+    // input errors carry their status (lib/uploads.js inputError); the rest is ours
+    const msg = String(err?.message || err);
+    return res.status(err?.status || 500).json({ error: msg });
+  }
+}
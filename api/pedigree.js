@@ -0,0 +1,69 @@
+// api/pedigree.js
+// Cow pedigree, genetic lines and bull choice (lib/pedigree.js).
+//
+//   GET    [?cow=<tag>]                               → all cows / one cow with relatives
+//   GET    ?view=inbreeding&cow=<tag>[&bull=A,B,…]    → candidate bulls, safest first
+//   PUT    ?cow=<tag>  { sire, dam, blood_line, notes }
+//   PUT    ?bull=<code> { sire, dam, blood_line, notes }
+//   DELETE ?cow=<tag> | ?bull=<code>                  → drop the hand-kept entry
+import {
+  setPedigree,
+  deletePedigree,
+  listPedigree,
+  cowPedigree,
+  inbreedingRisk,
+} from "../lib/pedigree.js";
+import { readJsonBody } from "../lib/uploads.js";
+
+export const config = {
+  api: { bodyParser: false },
+};
+
+export default async function handler(req, res) {
+  try {
+    const q = req.query || {};
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "GET") {
+      if (q.view === "inbreeding") {
+        if (!q.cow) return res.status(400).json({ error: 'Provide "cow"' });
+
+        const bulls = String(q.bull || "").split(",").map((s) => s.trim()).filter(Boolean);
+        const result = await inbreedingRisk(q.cow, bulls);
+        if (!result) return res.status(400).json({ error: "Unrecognised cow number", cow: q.cow });
+        return res.status(200).json(result);
+      }
+
+      if (q.cow) {
+        const cow = await cowPedigree(q.cow);
+        if (!cow) return res.status(404).json({ error: "Cow not found", cow: q.cow });
+        return res.status(200).json(cow);
+      }
+
+      const cows = await listPedigree();
+      return res.status(200).json({ count: cows.length, cows });
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      if (!q.cow && !q.bull) return res.status(400).json({ error: 'Provide "cow" or "bull"' });
+
+      const body = await readJsonBody(req);
+      const entry = q.cow ? await setPedigree("cows", q.cow, body) : await setPedigree("bulls", q.bull, body);
+      return res.status(200).json(entry);
+    }
+
+    if (req.method === "DELETE") {
+      if (!q.cow && !q.bull) return res.status(400).json({ error: 'Provide "cow" or "bull"' });
+
+      const deleted = q.cow ? await deletePedigree("cows", q.cow) : await deletePedigree("bulls", q.bull);
+      if (!deleted) return res.status(404).json({ error: "No pedigree entry", cow: q.cow, bull: q.bull });
+      return res.status(200).json({ deleted: q.cow || q.bull });
+    }
+
+    return res.status(405).json({ error: "Use GET, PUT or DELETE" });
+  } catch (err) {
+    // input errors carry their status (lib/uploads.js inputError); the rest is ours
+    const msg = String(err?.message || err);
+    return res.status(err?.status || 500).json({ error: msg });
+  }
+}
@@ -0,0 +1,69 @@
+// api/product-catalogue.js
+// CRUD for the invoice product catalogue (lib/product-catalogue.js).
+//
+//   GET    [?category=feed]           → all entries
+//   GET    ?id=prod-…                 → one entry
+//   POST   { item_code, category, sku | pattern, supplier?, name?, unit? }
+//   PUT    ?id=prod-…  { …fields to change }
+//   DELETE ?id=prod-…
+import {
+  CATEGORIES,
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+} from "../lib/product-catalogue.js";
+import { readJsonBody } from "../lib/uploads.js";
+
+export const config = {
+  api: { bodyParser: false },
+};
+
+export default async function handler(req, res) {
+  try {
+    const q = req.query || {};
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "GET") {
+      if (q.id) {
+        const product = await getProduct(q.id);
+        if (!product) return res.status(404).json({ error: "Product not found", id: q.id });
+        return res.status(200).json(product);
+      }
+
+      if (q.category && !CATEGORIES.includes(q.category)) {
+        return res.status(400).json({ error: "Unknown category", categories: CATEGORIES });
+      }
+
+      const products = await listProducts({ category: q.category || null });
+      return res.status(200).json({ count: products.length, categories: CATEGORIES, products });
+    }
+
+    if (req.method === "POST") {
+      const product = await createProduct(await readJsonBody(req));
+      return res.status(201).json(product);
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      if (!q.id) return res.status(400).json({ error: 'Provide "id"' });
+
+      const product = await updateProduct(q.id, await readJsonBody(req));
+      if (!product) return res.status(404).json({ error: "Product not found", id: q.id });
+      return res.status(200).json(product);
+    }
+
+    if (req.method === "DELETE") {
+      if (!q.id) return res.status(400).json({ error: 'Provide "id"' });
+
+      if (!(await deleteProduct(q.id))) return res.status(404).json({ error: "Product not found", id: q.id });
+      return res.status(200).json({ deleted: q.id });
+    }
+
+    return res.status(405).json({ error: "Use GET, POST, PUT or DELETE" });
+  } catch (err) {
+    // input errors carry their status (lib/uploads.js inputError); the rest is ours
+    const msg = String(err?.message || err);
+    return res.status(err?.status || 500).json({ error: msg });
+  }
+}
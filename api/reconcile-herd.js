@@ -0,0 +1,178 @@
+// api/reconcile-herd.js
+import { parseAnimalsFromText } from "./extractpdf.js";
+import { parsePdfWithLayout } from "../lib/pdf-layout.js";
+import { loadSpecies } from "../lib/species.js";
+import { parseExcelBuffer, parseGeaRows } from "./ingest-gea.js";
+import { indexByTag, matchTag } from "../lib/tags.js";
+import { isMultipart, isPdfUpload, getUploadFiles, pickFile } from "../lib/uploads.js";
+
+export const config = {
+  api: { bodyParser: false, sizeLimit: "100mb" },
+};
+
+// A heifer calving before this age is almost certainly a data error
+const MIN_CALVING_AGE_MONTHS = 18;
+
+const MALE_SEX = new Set(["Bulius", "Buliukas"]);
+
+// ---------- helpers ----------
+function isISODate(s) {
+  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+function monthsBetween(fromISO, toISO) {
+  const a = new Date(`${fromISO}T00:00:00Z`);
+  const b = new Date(`${toISO}T00:00:00Z`);
+  return (b - a) / (1000 * 60 * 60 * 24 * 30.4375);
+}
+
+// Multipart with two files: "vic" (PDF) and "gea" (XLSX).
+// Unnamed uploads are told apart by mimetype / extension.
+async function getReconcileFiles(req) {
+  if (!isMultipart(req)) {
+    throw new Error('Send multipart/form-data with files "vic" (PDF) and "gea" (XLSX).');
+  }
+
+  const { files } = await getUploadFiles(req);
+
+  let vic = pickFile(files, ["vic", "pdf"]);
+  let gea = pickFile(files, ["gea", "xlsx", "excel"]);
+
+  if (!vic) vic = files.find((f) => f !== gea && isPdfUpload(f)) || null;
+  if (!gea) gea = files.find((f) => f !== vic && !isPdfUpload(f)) || null;
+
+  if (!vic) throw new Error('VIC PDF missing. Use form field "vic".');
+  if (!gea) throw new Error('GEA export missing. Use form field "gea".');
+
+  return { vicBuffer: vic.buffer, geaBuffer: gea.buffer };
+}
+
+// ---------- comparison ----------
+function compareAnimal(vic, gea) {
+  const issues = [];
+  const calved = isISODate(gea.apsiversiavo) ? gea.apsiversiavo : null;
+
+  if (MALE_SEX.has(vic.sex)) {
+    issues.push({ field: "sex", reason: "male_in_gea_herd", vic: vic.sex, gea: gea.statusas ?? null });
+  }
+
+  if (calved && vic.sex === "Telyčaitė") {
+    issues.push({ field: "sex", reason: "heifer_has_calving", vic: vic.sex, gea: calved });
+  }
+
+  if (calved && vic.birth_date) {
+    if (calved <= vic.birth_date) {
+      issues.push({ field: "calving", reason: "calving_before_birth", vic: vic.birth_date, gea: calved });
+    } else {
+      const ageAtCalving = monthsBetween(vic.birth_date, calved);
+      if (ageAtCalving < MIN_CALVING_AGE_MONTHS) {
+        issues.push({
+          field: "calving",
+          reason: "calving_too_young",
+          vic: vic.birth_date,
+          gea: calved,
+          age_at_calving_months: +ageAtCalving.toFixed(1),
+        });
+      }
+    }
+  }
+
+  if (
+    vic.age_months != null &&
+    vic.age_months < MIN_CALVING_AGE_MONTHS &&
+    gea["dalyvauja pieno gamyboje"] === true
+  ) {
+    issues.push({ field: "age", reason: "too_young_for_milking", vic: vic.age_months, gea: true });
+  }
+
+  return issues;
+}
+
+function reconcile(vicAnimals, geaRows) {
+  const cattle = vicAnimals.filter((a) => a.species === "galvijai");
+  const vicIndex = indexByTag(cattle, (a) => a.tag_no);
+
+  const matched = [];
+  const mismatches = [];
+  const onlyGea = [];
+  const matchedKeys = new Set();
+
+  for (const gea of geaRows) {
+    if (!gea.tag_no) continue;
+
+    const hit = matchTag(vicIndex, gea.tag_no);
+
+    if (!hit || matchedKeys.has(hit.key)) {
+      onlyGea.push({ tag_no: gea.tag_no, group: gea.grupe ?? null, status: gea.statusas ?? null });
+      continue;
+    }
+
+    matchedKeys.add(hit.key);
+
+    const vic = hit.row;
+    const pair = { tag_no: vic.tag_no, gea_tag_no: gea.tag_no, match: hit.method };
+    matched.push(pair);
+
+    const issues = compareAnimal(vic, gea);
+    if (issues.length) mismatches.push({ ...pair, issues });
+  }
+
+  const onlyVic = [];
+  for (const [key, a] of vicIndex) {
+    if (matchedKeys.has(key)) continue;
+    onlyVic.push({
+      tag_no: a.tag_no,
+      name: a.name,
+      sex: a.sex,
+      birth_date: a.birth_date,
+      age_months: a.age_months,
+    });
+  }
+
+  return {
+    summary: {
+      vic_count: vicIndex.size,
+      gea_count: geaRows.filter((r) => r.tag_no).length,
+      matched: matched.length,
+      only_vic: onlyVic.length,
+      only_gea: onlyGea.length,
+      mismatched: mismatches.length,
+    },
+    only_vic: onlyVic,
+    only_gea: onlyGea,
+    mismatches,
+    matched,
+  };
+}
+
+// ---------- main handler ----------
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res.status(405).json({
+        error: "Use POST",
+        hint: 'Send multipart/form-data with files "vic" (PDF) and "gea" (XLSX).',
+      });
+    }
+
+    const { vicBuffer, geaBuffer } = await getReconcileFiles(req);
+
+    const { parsed: parsedPdf, pages } = await parsePdfWithLayout(vicBuffer);
+    const species = await loadSpecies();
+    const { rows: vicAnimals } = parseAnimalsFromText(parsedPdf.text || "", { layout: pages, species });
+
+    const geaAoa = parseExcelBuffer(geaBuffer);
+    if (!geaAoa?.length) return res.status(400).json({ error: "GEA Excel has no rows." });
+
+    const { rows: geaRows } = parseGeaRows(geaAoa);
+
+    res.setHeader("Cache-Control", "no-store");
+    const result = reconcile(vicAnimals, geaRows);
+    if (species.warnings.length) result.species_warnings = species.warnings;
+    return res.status(200).json(result);
+  } catch (err) {
+    const msg = String(err?.message || err);
+    if (/missing|multipart/i.test(msg)) return res.status(400).json({ error: msg });
+    return res.status(500).json({ error: msg });
+  }
+}
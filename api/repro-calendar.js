@@ -0,0 +1,107 @@
+// api/repro-calendar.js
+// Upcoming calvings, dry-offs, pregnancy checks and overdue inseminations.
+//
+//   GET  → built from the latest stored "automatic file" and GEA uploads
+//          (subscribe to it with ?format=ics)
+//   POST → multipart with files "automatic" and/or "gea"
+//
+// Options: ?format=json|ics &days=90 &dry_off_days=60 &preg_check_days=35
+//          &overdue_dim=90 &today=YYYY-MM-DD
+import { parseAutomaticRows, parseExcelBuffer as parseAutomaticExcel } from "./extract-automatic-file.js";
+import { parseExcelBuffer as parseGeaExcel, parseGeaRows } from "./ingest-gea.js";
+import { latestUpload } from "../lib/herd-store.js";
+import { DEFAULTS, buildReproCalendar } from "../lib/repro-calendar.js";
+import { renderCalendar } from "../lib/ics.js";
+import { isMultipart, getUploadFiles, pickFile } from "../lib/uploads.js";
+
+export const config = {
+  api: { bodyParser: false, sizeLimit: "100mb" },
+};
+
+function numParam(v, fallback) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+async function sourcesFromStore() {
+  const automatic = await latestUpload("automatic");
+  const gea = await latestUpload("gea");
+
+  return {
+    at1: automatic?.data?.ataskaita1 || [],
+    gea: gea?.data?.rows || [],
+    uploads: {
+      automatic: automatic ? automatic.id : null,
+      gea: gea ? gea.id : null,
+    },
+  };
+}
+
+async function sourcesFromRequest(req) {
+  if (!isMultipart(req)) {
+    throw new Error('Send multipart/form-data with files "automatic" and/or "gea".');
+  }
+
+  const { files } = await getUploadFiles(req);
+  const automatic = pickFile(files, ["automatic", "file"]);
+  const gea = pickFile(files, ["gea"]);
+
+  if (!automatic && !gea) throw new Error('No file uploaded. Use form fields "automatic" and/or "gea".');
+
+  const at1 = automatic ? parseAutomaticRows(parseAutomaticExcel(automatic.buffer)).ataskaita1 : [];
+  const geaRows = gea ? parseGeaRows(parseGeaExcel(gea.buffer)).rows : [];
+
+  return { at1, gea: geaRows, uploads: null };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") {
+      return res.status(405).json({ error: "Use GET (stored uploads) or POST (files)" });
+    }
+
+    const q = req.query || {};
+    const sources = req.method === "GET" ? await sourcesFromStore() : await sourcesFromRequest(req);
+
+    if (!sources.at1.length && !sources.gea.length) {
+      return res.status(404).json({ error: "No AT1 or GEA rows to build the calendar from." });
+    }
+
+    const calendar = buildReproCalendar(sources, {
+      today: q.today,
+      horizonDays: numParam(q.days, DEFAULTS.horizonDays),
+      dryOffDays: numParam(q.dry_off_days, DEFAULTS.dryOffDays),
+      pregCheckDays: numParam(q.preg_check_days, DEFAULTS.pregCheckDays),
+      overdueDim: numParam(q.overdue_dim, DEFAULTS.overdueDim),
+    });
+
+    res.setHeader("Cache-Control", "no-store");
+
+    if (q.format === "ics") {
+      const ics = renderCalendar(
+        calendar.events.map((e) => ({
+          uid: `${e.type}-${e.cow}-${e.date}@repro-calendar`,
+          date: e.date,
+          summary: e.title,
+          description: [
+            e.cow_number != null ? `Cow no. ${e.cow_number}` : null,
+            e.inseminated_at ? `Inseminated ${e.inseminated_at}` : null,
+            e.overdue_days ? `Overdue ${e.overdue_days} d` : null,
+            `Source: ${e.source}`,
+          ].filter(Boolean).join("\n"),
+        })),
+        { name: "Reproduction calendar" }
+      );
+
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader("Content-Disposition", 'inline; filename="repro-calendar.ics"');
+      return res.status(200).send(ics);
+    }
+
+    return res.status(200).json({ ...calendar, uploads: sources.uploads });
+  } catch (err) {
+    const msg = String(err?.message || err);
+    if (/multipart|no file/i.test(msg)) return res.status(400).json({ error: msg });
+    return res.status(500).json({ error: msg });
+  }
+}
@@ -0,0 +1,52 @@
+// api/udder-health.js
+// Teat status and udder profiles from the stored AT3 uploads (lib/udder.js).
+//
+//   GET [?cow=<cow number>]                      → all cows / one cow with its history
+//   GET ?view=events[&cow=<cow number>][&from=&to=]  → newly lost quarters
+//   GET ?view=report                             → cows with missing teats by lactation
+import { udderProfiles, cowUdder, teatEvents, missingTeatsReport } from "../lib/udder.js";
+
+const isISODate = (s) => typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res.status(405).json({ error: "Use GET" });
+    }
+
+    const q = req.query || {};
+    res.setHeader("Cache-Control", "no-store");
+
+    for (const k of ["from", "to"]) {
+      if (q[k] && !isISODate(q[k])) return res.status(400).json({ error: `"${k}" must be YYYY-MM-DD` });
+    }
+
+    if (q.view === "events") {
+      const events = await teatEvents({ from: q.from, to: q.to, cow: q.cow });
+      return res.status(200).json({ count: events.length, events });
+    }
+
+    if (q.view === "report") {
+      return res.status(200).json(await missingTeatsReport());
+    }
+
+    if (q.view) {
+      return res.status(400).json({ error: "Unknown view", views: ["events", "report"] });
+    }
+
+    if (q.cow) {
+      const cow = await cowUdder(q.cow);
+      if (!cow) return res.status(404).json({ error: "Cow not found", cow: q.cow });
+      return res.status(200).json(cow);
+    }
+
+    const cows = await udderProfiles();
+    return res.status(200).json({
+      count: cows.length,
+      with_missing_teats: cows.filter((c) => c.missing.length).length,
+      cows,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
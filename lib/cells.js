@@ -0,0 +1,59 @@
+// lib/cells.js
+// Spreadsheet cell normalizers shared by the GEA and "automatic file" parsers.
+
+function toISODate(val) {
+  if (val == null) return null;
+  if (val instanceof Date) {
+    const y = val.getFullYear();
+    const m = String(val.getMonth()+1).padStart(2,'0');
+    const d = String(val.getDate()).padStart(2,'0');
+    return `${y}-${m}-${d}`;
+  }
+  const s = String(val).trim();
+  if (!s) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  let m = s.match(/^(\d{2})\.(\d{2})\.(\d{4})$/);           //  DD.MM.YYYY
+  if (m) return `${m[3]}-${m[2]}-${m[1]}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);         //  M/D/YY(YY)
+  if (m) {
+    const mm = String(m[1]).padStart(2,'0');
+    const dd = String(m[2]).padStart(2,'0');
+    const yy = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return `${yy}-${mm}-${dd}`;
+  }
+  return null;
+}
+function toTime(val) {
+  if (val == null) return null;
+  const s = String(val).trim();
+  if (!s) return null;
+  const m = s.match(/^(\d{1,2}):(\d{2})$/);
+  if (m) {
+    const hh = String(m[1]).padStart(2,'0');
+    return `${hh}:${m[2]}`;
+  }
+  return s;
+}
+function toNum(val) {
+  if (val == null) return null;
+  if (typeof val === 'number' && Number.isFinite(val)) return val;
+  let s = String(val).trim().replace(/\u00A0/g, ' ').replace(/\s+/g, '');
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    s = s.replace(/\./g, '').replace(',', '.');
+  } else {
+    s = s.replace(/,/g, '');
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+function toBoolLT(val) {
+  if (val == null) return null;
+  const s = String(val).trim().toLowerCase();
+  if (['taip','true','1','yes'].includes(s)) return true;
+  if (['ne','false','0','no'].includes(s)) return false;
+  return null;
+}
+
+module.exports = { toISODate, toTime, toNum, toBoolLT };
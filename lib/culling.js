@@ -0,0 +1,250 @@
+// lib/culling.js
+// Culling candidates: each cow is scored by rules over the latest exports.
+//
+//   AT1 – pregnant_days / pregnant_since, lactation_days (pregnancy status, days open)
+//   AT2 – avg_milk_prod_weight, milkings, produce_milk
+//   AT3 – insemination_count, lactation_number, teat_missing_*
+//   VIC – birth_date, sex (matched through the AT1 ear number)
+//
+// Points and thresholds can be changed per farm in
+// <HERD_STORE_DIR>/culling-rules.json (or CULLING_RULES_PATH):
+//   { <rule id>: { enabled, points, ...thresholds } }
+// Fields left out keep the defaults below.
+const path = require("path");
+const { toBoolLT, toISODate, toNum } = require("./cells.js");
+const { normalizeTag, indexByTag, matchTag } = require("./tags.js");
+const { STORE_DIR, readJson, updateJson } = require("./herd-store.js");
+const { at2Analytics } = require("./milk-analytics.js");
+const { udderOf } = require("./udder.js");
+const { at1Pregnant } = require("./repro-calendar.js");
+const { inputError } = require("./uploads.js");
+
+const RULES_PATH = process.env.CULLING_RULES_PATH || path.join(STORE_DIR, "culling-rules.json");
+
+const DEFAULT_RULES = {
+  // more than 3 inseminations and still not pregnant
+  repeat_breeder: { enabled: true, points: 30, min_inseminations: 4 },
+  // open this long after calving
+  days_open: { enabled: true, points: 20, max_days: 150 },
+  // daily yield below max_kg this late in lactation
+  low_yield_late: { enabled: true, points: 25, max_kg: 15, min_lactation_days: 200 },
+  // not milked (produce_milk "Ne") and not pregnant either
+  dry_and_open: { enabled: true, points: 20 },
+  // points for every missing quarter
+  missing_teats: { enabled: true, points: 15 },
+  high_lactation: { enabled: true, points: 10, min_lactation: 6 },
+  old_age: { enabled: true, points: 10, min_age_years: 10 },
+};
+
+// VIC sexes that are never culling candidates (Bulius, Buliukas)
+const MALE_SEX = /^buli/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- rules ----------
+// Throws a 400 input error on bad input; messages are meant for the API response
+function mergeRules(base, patch) {
+  // own keys only and prototype-less objects: "__proto__" in a PUT body must
+  // never reach Object.prototype
+  const out = Object.create(null);
+
+  for (const [id, rule] of Object.entries(base)) out[id] = Object.assign(Object.create(null), rule);
+
+  for (const [id, p] of Object.entries(patch || {})) {
+    if (!Object.hasOwn(DEFAULT_RULES, id)) throw inputError(`Unknown rule "${id}"; rules: ${Object.keys(DEFAULT_RULES).join(", ")}.`);
+    if (!p || typeof p !== "object") throw inputError(`Rule "${id}" must be an object.`);
+
+    for (const [k, v] of Object.entries(p)) {
+      if (!Object.hasOwn(DEFAULT_RULES[id], k)) throw inputError(`Rule "${id}" has no setting "${k}".`);
+      if (k === "enabled") {
+        if (typeof v !== "boolean") throw inputError(`"${id}.enabled" must be true or false.`);
+      } else if (typeof v !== "number" || !Number.isFinite(v) || v < 0) {
+        throw inputError(`"${id}.${k}" must be a non-negative number.`);
+      }
+      out[id][k] = v;
+    }
+  }
+
+  return out;
+}
+
+// The stored file over the defaults. A file the API would not have written
+// is a store problem (500), not a bad request.
+function storedRules(stored) {
+  try {
+    return mergeRules(DEFAULT_RULES, stored);
+  } catch (err) {
+    throw new Error(`Store file ${RULES_PATH} is invalid (${err.message}); fix or remove it.`);
+  }
+}
+
+async function loadRules() {
+  return storedRules(await readJson(RULES_PATH, {}));
+}
+
+// Stores only what differs from the defaults, so later default changes apply
+async function saveRules(patch) {
+  let rules = null;
+
+  await updateJson(RULES_PATH, {}, (stored) => {
+    rules = mergeRules(storedRules(stored), patch);
+    const diff = {};
+
+    for (const [id, rule] of Object.entries(rules)) {
+      for (const [k, v] of Object.entries(rule)) {
+        if (DEFAULT_RULES[id][k] !== v) diff[id] = { ...diff[id], [k]: v };
+      }
+    }
+    return diff;
+  });
+  return rules;
+}
+
+// ---------- facts ----------
+function ageYears(birthISO, today) {
+  if (!birthISO) return null;
+  return +((Date.parse(today) - Date.parse(birthISO)) / (365.25 * DAY_MS)).toFixed(1);
+}
+
+// Per-cow facts from the latest exports, keyed by robot cow number
+function cowFacts({ at1 = [], at2 = [], at3 = [], vic = [] }, today) {
+  const cows = new Map();
+  const fact = (cowNumber) => {
+    const key = normalizeTag(cowNumber);
+    if (!key) return null;
+    if (!cows.has(key)) cows.set(key, { cow: key, ear_number: null });
+    return cows.get(key);
+  };
+
+  for (const r of at1) {
+    const c = fact(r.cow_number);
+    if (!c) continue;
+
+    const pregnantDays = toNum(r.pregnant_days);
+    const dim = toNum(r.lactation_days);
+    c.ear_number = r.ear_number ?? null;
+    c.state = r.cow_state ?? null;
+    c.pregnant = at1Pregnant(r);
+    c.lactation_days = dim;
+    // open days run from calving to conception, or to today while open
+    if (dim == null) c.days_open = null;
+    else if (!c.pregnant) c.days_open = dim;
+    else c.days_open = pregnantDays > 0 ? Math.max(0, dim - pregnantDays) : null;
+  }
+
+  for (const r of at2) {
+    const c = fact(r.cow_number);
+    if (!c) continue;
+
+    const a = at2Analytics(r);
+    c.produce_milk = toBoolLT(r.produce_milk);
+    c.avg_milk_weight = toNum(r.avg_milk_prod_weight);
+    c.daily_yield = a.avg_7d;
+  }
+
+  for (const r of at3) {
+    const c = fact(r.cow_number);
+    if (!c) continue;
+
+    const udder = udderOf(r);
+    c.insemination_count = toNum(r.insemination_count);
+    c.lactation_number = toNum(r.lactation_number);
+    c.teats = udder.teats;
+    c.missing_teats = udder.missing;
+  }
+
+  // by ear number only: the robot's short cow number can end another
+  // animal's tag, and a wrong match would score her by that animal's age
+  const vicIndex = indexByTag(vic, (a) => a.tag_no);
+  for (const c of cows.values()) {
+    const hit = matchTag(vicIndex, c.ear_number);
+    c.tag_no = hit ? hit.row.tag_no : null;
+    c.sex = hit ? hit.row.sex ?? null : null;
+    c.birth_date = hit ? toISODate(hit.row.birth_date) : null;
+    c.age_years = ageYears(c.birth_date, today);
+  }
+
+  return [...cows.values()];
+}
+
+// ---------- scoring ----------
+// [{ rule, points, reason }] for the rules the cow breaks
+function ruleHits(c, r) {
+  const hits = [];
+  const hit = (id, points, reason) => {
+    if (r[id].enabled && points > 0) hits.push({ rule: id, points, reason });
+  };
+  const open = c.pregnant === false;
+
+  if (open && c.insemination_count != null && c.insemination_count >= r.repeat_breeder.min_inseminations) {
+    hit("repeat_breeder", r.repeat_breeder.points, `${c.insemination_count} inseminations without pregnancy.`);
+  }
+
+  if (open && c.days_open != null && c.days_open > r.days_open.max_days) {
+    hit("days_open", r.days_open.points, `Open ${c.days_open} days (limit ${r.days_open.max_days}).`);
+  }
+
+  const late = c.lactation_days != null && c.lactation_days >= r.low_yield_late.min_lactation_days;
+  if (late && c.produce_milk !== false && c.daily_yield != null && c.daily_yield < r.low_yield_late.max_kg) {
+    hit(
+      "low_yield_late",
+      r.low_yield_late.points,
+      `${c.daily_yield} kg/day on lactation day ${c.lactation_days} (below ${r.low_yield_late.max_kg} kg).`
+    );
+  }
+
+  if (open && c.produce_milk === false) {
+    hit("dry_and_open", r.dry_and_open.points, "Not milked and not pregnant.");
+  }
+
+  if (c.missing_teats?.length) {
+    hit(
+      "missing_teats",
+      r.missing_teats.points * c.missing_teats.length,
+      c.teats == null
+        ? `Missing ${c.missing_teats.join(", ")}; other quarters unreadable.`
+        : `${c.teats}-teat cow (missing ${c.missing_teats.join(", ")}).`
+    );
+  }
+
+  if (c.lactation_number != null && c.lactation_number >= r.high_lactation.min_lactation) {
+    hit("high_lactation", r.high_lactation.points, `Lactation ${c.lactation_number}.`);
+  }
+
+  if (c.age_years != null && c.age_years >= r.old_age.min_age_years) {
+    hit("old_age", r.old_age.points, `${c.age_years} years old.`);
+  }
+
+  return hits;
+}
+
+// Sources → cows scoring at least `minScore`, highest first
+function scoreCulling(sources, rules, { today = null, minScore = 1 } = {}) {
+  const day = toISODate(today) || new Date().toISOString().slice(0, 10);
+  const facts = cowFacts(sources, day);
+  const skipped = facts.filter((c) => c.sex && MALE_SEX.test(c.sex)).map((c) => ({ cow: c.cow, sex: c.sex }));
+
+  const cows = facts
+    .filter((c) => !(c.sex && MALE_SEX.test(c.sex)))
+    .map((c) => {
+      const reasons = ruleHits(c, rules);
+      return { cow: c.cow, score: reasons.reduce((a, h) => a + h.points, 0), reasons, facts: c };
+    })
+    .sort((a, b) => b.score - a.score || a.cow.localeCompare(b.cow, undefined, { numeric: true }));
+
+  return {
+    today: day,
+    rules,
+    scored: cows.length,
+    count: cows.filter((c) => c.score >= minScore).length,
+    candidates: cows.filter((c) => c.score >= minScore),
+    skipped,
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  loadRules,
+  saveRules,
+  scoreCulling,
+};
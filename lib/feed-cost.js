@@ -0,0 +1,168 @@
+// lib/feed-cost.js
+// Feed cost per litre of milk over a date range: "feed" lines of the stored
+// invoices (see lib/product-catalogue.js) against the herd milk recorded in
+// the stored GEA / AT2 uploads.
+const { toNum } = require("./cells.js");
+const { herdMilk, invoiceDocuments, latestUpload } = require("./herd-store.js");
+const { loadCatalogue, applyCatalogue } = require("./product-catalogue.js");
+
+// Robots weigh milk; kg → litres when the recorded amounts are kilograms
+const MILK_KG_PER_LITRE = 1.03;
+
+// A day below this share of the median day is a partial export, not a bad day
+const PARTIAL_DAY_RATIO = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(n, digits = 2) {
+  return n == null || !Number.isFinite(n) ? null : +n.toFixed(digits);
+}
+
+function daysInRange(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+function median(list) {
+  if (!list.length) return null;
+  const s = [...list].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Milk for the whole range from the days that have data: summed as-is when
+// every day is there, else the average full day times the days in the range
+function milkOverRange(daily, days) {
+  const recorded = daily.reduce((a, d) => a + d.total, 0);
+
+  if (!daily.length) return { recorded: 0, days_with_data: 0, avg_daily: null, total: null, basis: null };
+  if (daily.length >= days) {
+    return { recorded: round(recorded), days_with_data: daily.length, avg_daily: round(recorded / daily.length), total: round(recorded), basis: "recorded" };
+  }
+
+  const mid = median(daily.map((d) => d.total));
+  const full = daily.filter((d) => d.total >= mid * PARTIAL_DAY_RATIO);
+  const avg = full.reduce((a, d) => a + d.total, 0) / full.length;
+
+  return {
+    recorded: round(recorded),
+    days_with_data: daily.length,
+    avg_daily: round(avg),
+    total: round(avg * days),
+    basis: "extrapolated",
+  };
+}
+
+// Herd (or group) yield per day from the GEA 'pieno vidurkis' per-cow averages
+function geaAverageMilk(geaUpload, days, group) {
+  const rows = (geaUpload?.data?.rows || []).filter((r) => group === undefined || groupKey(r) === group);
+  const perDay = rows.reduce((a, r) => a + (toNum(r["pieno vidurkis"]) || 0), 0);
+  if (!(perDay > 0)) return null;
+
+  return { recorded: 0, days_with_data: 0, avg_daily: round(perDay), total: round(perDay * days), basis: "gea_average" };
+}
+
+function groupKey(r) {
+  return r.grupe == null || r.grupe === "" ? null : String(r.grupe);
+}
+
+// GEA `grupe` → head count in the latest GEA upload of the range
+function headCounts(geaUpload) {
+  const counts = new Map();
+  for (const r of geaUpload?.data?.rows || []) {
+    if (!r.tag_no) continue;
+    const g = groupKey(r);
+    counts.set(g, (counts.get(g) || 0) + 1);
+  }
+  return counts;
+}
+
+// milkUnit: unit of the recorded amounts, "l" (default) or "kg"
+async function feedCostReport({ from, to, byGroup = false, milkUnit = "l" }) {
+  const days = daysInRange(from, to);
+  const toLitres = (v) => (v == null ? null : milkUnit === "kg" ? v / MILK_KG_PER_LITRE : v);
+
+  // ---- feed ----
+  const catalogue = await loadCatalogue();
+  const invoices = [];
+  let feedNet = 0;
+  let uncategorizedNet = 0;
+
+  for (const { date, upload_id, doc } of await invoiceDocuments({ from, to })) {
+    // current catalogue, so entries added after the upload still count
+    const lines = applyCatalogue(doc.lines || [], doc.supplier, catalogue);
+    const feed = lines.filter((l) => l.category === "feed");
+
+    uncategorizedNet += lines.filter((l) => !l.category).reduce((a, l) => a + (l.net || 0), 0);
+    if (!feed.length) continue;
+
+    const net = feed.reduce((a, l) => a + (l.net || 0), 0);
+    feedNet += net;
+    invoices.push({
+      date,
+      upload_id,
+      number: doc.invoice?.number || null,
+      document_type: doc.invoice?.document_type || "invoice",
+      supplier: doc.supplier?.name || null,
+      feed_net: round(net),
+      lines: feed.length,
+    });
+  }
+
+  // ---- milk ----
+  const milk = await herdMilk({ from, to });
+  let herd = milkOverRange(milk.daily, days);
+  const geaUpload = await latestUpload("gea", to);
+
+  // No milkings in the range: fall back to the GEA per-cow average yield
+  if (!herd.total) herd = geaAverageMilk(geaUpload, days) || herd;
+
+  const litres = toLitres(herd.total);
+
+  const report = {
+    from,
+    to,
+    days,
+    feed: {
+      total_net: round(feedNet),
+      invoices,
+      uncategorized_net: round(uncategorizedNet),
+    },
+    milk: {
+      unit: milkUnit,
+      ...herd,
+      litres: round(litres),
+      sources: milk.cows,
+    },
+    cost_per_litre: litres ? round(feedNet / litres, 4) : null,
+    gea_upload_id: geaUpload ? geaUpload.id : null,
+  };
+
+  if (!byGroup) return report;
+
+  // ---- per GEA group: feed split by head count, milk from the group's cows ----
+  const heads = headCounts(geaUpload);
+  const totalHeads = [...heads.values()].reduce((a, n) => a + n, 0);
+
+  report.groups = [...heads].map(([group, count]) => {
+    const cost = totalHeads ? (feedNet * count) / totalHeads : null;
+    const daily = milk.groups.find((g) => g.group === group)?.daily || [];
+    let m = milkOverRange(daily, days);
+    if (!m.total) m = geaAverageMilk(geaUpload, days, group) || m;
+    const l = toLitres(m.total);
+
+    return {
+      group,
+      head_count: count,
+      feed_net: round(cost),
+      milk: { ...m, litres: round(l) },
+      cost_per_litre: l && cost != null ? round(cost / l, 4) : null,
+    };
+  });
+
+  return report;
+}
+
+module.exports = {
+  MILK_KG_PER_LITRE,
+  feedCostReport,
+};
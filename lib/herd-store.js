@@ -0,0 +1,442 @@
+// lib/herd-store.js
+// JSON-on-disk history of parsed uploads, so results outlive the response.
+//
+// <HERD_STORE_DIR>/index.json         – [{ id, kind, uploaded_at, as_of, count }]
+// <HERD_STORE_DIR>/uploads/<id>.json  – { ...index entry, data }
+//
+// `as_of` is the day the upload describes (defaults to the upload day) and is
+// what the date queries use, so older exports can be back-filled.
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { indexByTag, matchTag, normalizeTag } = require("./tags.js");
+const { at2Milkings, geaMilkings, orderMilkings } = require("./milkings.js");
+
+const STORE_DIR = process.env.HERD_STORE_DIR || "/tmp/herd_store";
+const INDEX_PATH = path.join(STORE_DIR, "index.json");
+const UPLOADS_DIR = path.join(STORE_DIR, "uploads");
+
+// vic       – { animals, grouped_animals, report }  (api/extractpdf.js)
+// vic_events – { report_type, events, report }     (api/extractpdf.js)
+// gea       – { columns, rows }                     (api/ingest-gea.js)
+// automatic – { ataskaita1, ataskaita2, ataskaita3 } (api/extract-automatic-file.js)
+// invoice   – parseInvoice() result, { invoices, … }  (api/extractinvoice.js)
+const KINDS = ["vic", "vic_events", "gea", "automatic", "invoice"];
+// kinds that describe animals (herdOnDate)
+const HERD_KINDS = ["vic", "gea", "automatic"];
+
+// ---------- helpers ----------
+function isISODate(s) {
+  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+// "YYYY-MM-DD" that is also a real day (no 2025-02-30)
+function isCalendarDate(s) {
+  const t = isISODate(s) ? Date.parse(`${s}T00:00:00Z`) : NaN;
+  return Number.isFinite(t) && new Date(t).toISOString().slice(0, 10) === s;
+}
+
+// `fallback` only stands in for a missing file; a file that is there but
+// does not parse throws, so the next write cannot silently replace it
+async function readJson(file, fallback) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw e;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error(`Store file ${file} is corrupt; fix or remove it.`);
+  }
+}
+
+// Writes to one file run one after another within the process
+const queues = new Map();
+
+function serialized(file, task) {
+  const run = (queues.get(file) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  queues.set(file, tail);
+  tail.then(() => {
+    if (queues.get(file) === tail) queues.delete(file);
+  });
+  return run;
+}
+
+// write-then-rename so a crashed request never leaves half a file behind
+async function writeFileNow(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value), "utf8");
+  await fs.rename(tmp, file);
+}
+
+function writeJson(file, value) {
+  return serialized(file, () => writeFileNow(file, value));
+}
+
+// Read-modify-write in the file's queue, so concurrent updates are not lost.
+// `change` gets the current value and returns the one to store.
+function updateJson(file, fallback, change) {
+  return serialized(file, async () => {
+    const next = await change(await readJson(file, fallback));
+    await writeFileNow(file, next);
+    return next;
+  });
+}
+
+function byAsOf(a, b) {
+  return `${a.as_of} ${a.uploaded_at}`.localeCompare(`${b.as_of} ${b.uploaded_at}`);
+}
+
+function countOf(kind, data) {
+  if (kind === "vic") return data?.animals?.length ?? 0;
+  if (kind === "vic_events") return data?.events?.length ?? 0;
+  if (kind === "gea") return data?.rows?.length ?? 0;
+  if (kind === "automatic") return data?.ataskaita1?.length ?? 0;
+  if (kind === "invoice") return data?.invoices?.length ?? 1;
+  return null;
+}
+
+// Animals of one upload as [{ tag_no, ...summary }]
+function animalsOf(kind, data) {
+  if (kind === "vic") {
+    return (data?.animals || []).map((a) => ({
+      tag_no: a.tag_no,
+      species: a.species,
+      name: a.name,
+      sex: a.sex,
+      birth_date: a.birth_date,
+    }));
+  }
+
+  if (kind === "gea") {
+    return (data?.rows || [])
+      .filter((r) => r.tag_no)
+      .map((r) => ({ tag_no: r.tag_no, group: r.grupe ?? null, status: r.statusas ?? null }));
+  }
+
+  if (kind === "automatic") {
+    const byCow = new Map();
+    for (const sec of [data?.ataskaita1, data?.ataskaita2, data?.ataskaita3]) {
+      for (const r of sec || []) {
+        if (r.cow_number == null || byCow.has(String(r.cow_number))) continue;
+        byCow.set(String(r.cow_number), {
+          tag_no: String(r.cow_number),
+          ear_number: r.ear_number ?? null,
+          group: r.group_number ?? null,
+          status: r.cow_state ?? null,
+        });
+      }
+    }
+    return [...byCow.values()];
+  }
+
+  return [];
+}
+
+// ---------- uploads ----------
+async function recordUpload(kind, data, { as_of = null, source = null } = {}) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown upload kind: ${kind}`);
+  if (as_of != null && !isCalendarDate(as_of)) throw new Error(`Invalid as_of "${as_of}"; expected YYYY-MM-DD.`);
+
+  const uploadedAt = new Date().toISOString();
+  const stamp = uploadedAt.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+
+  const entry = {
+    id: `${kind}-${stamp}-${crypto.randomBytes(2).toString("hex")}`,
+    kind,
+    uploaded_at: uploadedAt,
+    as_of: as_of || uploadedAt.slice(0, 10),
+    source,
+    count: countOf(kind, data),
+  };
+
+  await writeJson(path.join(UPLOADS_DIR, `${entry.id}.json`), { ...entry, data });
+
+  await updateJson(INDEX_PATH, [], (index) => [...index, entry]);
+
+  return entry;
+}
+
+// Problem with the request's ?as_of, for the handler's 400; null when it is
+// absent or a real day. Checked before parsing so a bad date is never stored
+// under some other day.
+function asOfError(req) {
+  const asOf = req.query?.as_of;
+  if (asOf == null || asOf === "") return null;
+  return isCalendarDate(asOf) ? null : '"as_of" must be YYYY-MM-DD';
+}
+
+// Handler-side wrapper: honours ?store=0 and ?as_of=YYYY-MM-DD, and never lets
+// a storage failure break the parse response. Returns the upload id or null.
+// Handlers reject a bad ?as_of with asOfError() first.
+async function recordFromRequest(req, kind, data) {
+  if (req.query?.store === "0") return null;
+
+  try {
+    const entry = await recordUpload(kind, data, {
+      as_of: req.query?.as_of || null,
+      source: req.headers?.["x-upload-source"] || null,
+    });
+    return entry.id;
+  } catch (e) {
+    console.error("[herd-store] record failed:", e);
+    return null;
+  }
+}
+
+async function listUploads({ kind = null, from = null, to = null } = {}) {
+  const index = await readJson(INDEX_PATH, []);
+
+  return index
+    .filter((e) => !kind || e.kind === kind)
+    .filter((e) => !from || e.as_of >= from)
+    .filter((e) => !to || e.as_of <= to)
+    .sort(byAsOf);
+}
+
+async function loadUpload(id) {
+  if (!/^[a-z_]+-[0-9TZ]+-[0-9a-f]+$/.test(String(id || ""))) return null;
+  return readJson(path.join(UPLOADS_DIR, `${id}.json`), null);
+}
+
+// Latest upload of `kind` describing `date` or earlier (latest overall without a date)
+async function latestUpload(kind, date = null) {
+  const list = await listUploads({ kind, to: date });
+  const last = list[list.length - 1];
+  return last ? loadUpload(last.id) : null;
+}
+
+// ---------- queries ----------
+async function herdOnDate(date) {
+  const out = { date };
+
+  for (const kind of HERD_KINDS) {
+    const upload = await latestUpload(kind, date);
+    const animals = upload ? animalsOf(kind, upload.data) : [];
+
+    out[kind] = upload
+      ? { upload_id: upload.id, as_of: upload.as_of, count: animals.length, animals }
+      : null;
+  }
+
+  return out;
+}
+
+// Uploads may be given by id, or by date (latest upload of `kind` on that day).
+async function resolveUpload(ref, kind) {
+  if (isISODate(ref)) return latestUpload(kind, ref);
+  return loadUpload(ref);
+}
+
+async function diffUploads(fromRef, toRef, kind = "vic") {
+  const from = await resolveUpload(fromRef, kind);
+  const to = await resolveUpload(toRef, kind);
+
+  if (!from || !to) return null;
+  if (from.kind !== to.kind) throw new Error("Cannot diff uploads of different kinds.");
+
+  const before = indexByTag(animalsOf(from.kind, from.data), (a) => a.tag_no);
+  const after = indexByTag(animalsOf(to.kind, to.data), (a) => a.tag_no);
+
+  const added = [...after].filter(([k]) => !before.has(k)).map(([, a]) => a);
+  const removed = [...before].filter(([k]) => !after.has(k)).map(([, a]) => a);
+
+  return {
+    kind: from.kind,
+    from: { upload_id: from.id, as_of: from.as_of, count: before.size },
+    to: { upload_id: to.id, as_of: to.as_of, count: after.size },
+    added,
+    removed,
+    unchanged_count: after.size - added.length,
+  };
+}
+
+async function milkHistory(cow, { from = null, to = null } = {}) {
+  const key = normalizeTag(cow);
+  if (!key) return null;
+
+  const milkings = [];
+
+  for (const entry of await listUploads()) {
+    if (entry.kind !== "gea" && entry.kind !== "automatic") continue;
+
+    const upload = await loadUpload(entry.id);
+    if (!upload) continue;
+
+    let list = [];
+
+    if (entry.kind === "gea") {
+      const hit = matchTag(indexByTag(upload.data?.rows, (r) => r.tag_no), key);
+      if (hit) list = geaMilkings(hit.row);
+    } else {
+      const row = (upload.data?.ataskaita2 || []).find((r) => normalizeTag(r.cow_number) === key);
+      if (row) list = at2Milkings(row);
+    }
+
+    for (const m of list) milkings.push({ ...m, source: entry.kind, upload_id: entry.id });
+  }
+
+  const inRange = orderMilkings(milkings).filter(
+    (m) => (!from || m.date >= from) && (!to || m.date <= to)
+  );
+
+  const days = new Map();
+  for (const m of inRange) days.set(m.date, +((days.get(m.date) || 0) + m.weight).toFixed(2));
+
+  return {
+    cow: String(cow),
+    count: inRange.length,
+    milkings: inRange,
+    daily_totals: [...days].map(([date, total]) => ({ date, total })),
+  };
+}
+
+// Herd milk per day from every stored GEA and AT2 upload. Each source is
+// de-duplicated per cow; as both describe the same herd, a day takes the
+// source that recorded more milk (partial exports undercount, never overcount).
+// GEA days are also split by `grupe`.
+async function herdMilk({ from = null, to = null } = {}) {
+  const perKind = { gea: new Map(), automatic: new Map() };
+  const groupOf = new Map();
+
+  const add = (kind, key, list) => {
+    const m = perKind[kind];
+    m.set(key, (m.get(key) || []).concat(list));
+  };
+
+  for (const entry of await listUploads()) {
+    if (entry.kind !== "gea" && entry.kind !== "automatic") continue;
+
+    const upload = await loadUpload(entry.id);
+    if (!upload) continue;
+
+    if (entry.kind === "gea") {
+      for (const r of upload.data?.rows || []) {
+        const key = normalizeTag(r.tag_no);
+        if (!key) continue;
+        add("gea", key, geaMilkings(r));
+        groupOf.set(key, r.grupe ?? null); // latest upload wins
+      }
+    } else {
+      for (const r of upload.data?.ataskaita2 || []) {
+        const key = normalizeTag(r.cow_number);
+        if (key) add("automatic", key, at2Milkings(r));
+      }
+    }
+  }
+
+  const inRange = (m) => (!from || m.date >= from) && (!to || m.date <= to);
+  const daily = { gea: new Map(), automatic: new Map() };
+  const groups = new Map();
+
+  for (const [kind, cows] of Object.entries(perKind)) {
+    for (const [key, list] of cows) {
+      for (const m of orderMilkings(list).filter(inRange)) {
+        daily[kind].set(m.date, (daily[kind].get(m.date) || 0) + m.weight);
+
+        if (kind === "gea") {
+          const g = String(groupOf.get(key) ?? "");
+          const days = groups.get(g) || new Map();
+          days.set(m.date, (days.get(m.date) || 0) + m.weight);
+          groups.set(g, days);
+        }
+      }
+    }
+  }
+
+  const dates = [...new Set([...daily.gea.keys(), ...daily.automatic.keys()])].sort();
+  const round2 = (n) => +n.toFixed(2);
+
+  return {
+    cows: { gea: perKind.gea.size, automatic: perKind.automatic.size },
+    daily: dates.map((date) => {
+      const gea = daily.gea.get(date) || 0;
+      const at2 = daily.automatic.get(date) || 0;
+      return gea >= at2
+        ? { date, total: round2(gea), source: "gea" }
+        : { date, total: round2(at2), source: "automatic" };
+    }),
+    groups: [...groups].map(([group, days]) => ({
+      group: group === "" ? null : group,
+      daily: [...days].sort(([a], [b]) => a.localeCompare(b)).map(([date, total]) => ({ date, total: round2(total) })),
+    })),
+  };
+}
+
+// Parsed invoices (kind "invoice") with an invoice date in [from, to], as
+// [{ date, upload_id, doc }]. An invoice uploaded twice (same supplier and
+// number) counts once, from its latest upload.
+async function invoiceDocuments({ from = null, to = null } = {}) {
+  const seen = new Set();
+  const out = [];
+
+  for (const entry of (await listUploads({ kind: "invoice" })).reverse()) {
+    const upload = await loadUpload(entry.id);
+    const docs = upload?.data?.invoices || (upload?.data ? [upload.data] : []);
+
+    for (const doc of docs) {
+      const inv = doc.invoice || {};
+      const key = `${doc.supplier?.code || doc.supplier?.name || "?"}|${inv.number || entry.id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const date = isISODate(inv.date) ? inv.date : entry.as_of;
+      if ((from && date < from) || (to && date > to)) continue;
+
+      out.push({ date, upload_id: entry.id, doc });
+    }
+  }
+
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Animal events (kind "vic_events") dated in [from, to], optionally for one
+// tag. An event in several uploads (same type, tag and date) counts once.
+async function animalEvents({ from = null, to = null, tag = null } = {}) {
+  const seen = new Set();
+  const want = tag ? normalizeTag(tag) : null;
+  const out = [];
+
+  for (const entry of (await listUploads({ kind: "vic_events" })).reverse()) {
+    const upload = await loadUpload(entry.id);
+
+    for (const e of upload?.data?.events || []) {
+      const key = `${e.type}|${normalizeTag(e.tag_no) || e.tag_no}|${e.date}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      if (!isISODate(e.date) || (from && e.date < from) || (to && e.date > to)) continue;
+      if (want && normalizeTag(e.tag_no) !== want) continue;
+
+      out.push({ ...e, upload_id: entry.id });
+    }
+  }
+
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  STORE_DIR,
+  KINDS,
+  readJson,
+  writeJson,
+  updateJson,
+  recordUpload,
+  asOfError,
+  recordFromRequest,
+  listUploads,
+  loadUpload,
+  latestUpload,
+  herdOnDate,
+  diffUploads,
+  milkHistory,
+  herdMilk,
+  invoiceDocuments,
+  animalEvents,
+};
@@ -0,0 +1,76 @@
+// lib/ics.js
+// Minimal iCalendar (RFC 5545) writer for all-day events.
+
+function escapeText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+function icsDate(iso) {
+  return String(iso).replace(/-/g, "");
+}
+
+function nextDay(iso) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// events: [{ uid, date: "YYYY-MM-DD", summary, description? }]
+function renderCalendar(events, { name = "Calendar", prodId = "-//herd//calendar//LT" } = {}) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${prodId}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const e of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDay(e.date))}`,
+      `SUMMARY:${escapeText(e.summary)}`
+    );
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  renderCalendar,
+};
@@ -0,0 +1,216 @@
+// lib/invoice-export.js
+// Renders a parsed invoice (api/extractinvoice.js → { supplier, buyer, invoice, lines })
+// for the accountant: i.SAF purchase-register XML and a flat CSV of lines.
+const ISAF_NS = "http://www.vmi.lt/cms/imas/isaf";
+const ISAF_VERSION = "iSAF1.2";
+
+// Standard rates → i.SAF tax codes; anything else is left for the accountant
+const ISAF_TAX_CODES = { 21: "PVM1", 9: "PVM2", 5: "PVM3" };
+
+// document_type → i.SAF InvoiceType (a prepayment invoice is still an SF).
+// A proforma is not a VAT invoice and is left out of the register.
+const ISAF_INVOICE_TYPES = { invoice: "SF", prepayment: "SF", credit_note: "KS", debit_note: "DS" };
+
+function isProforma(doc) {
+  return doc?.invoice?.document_type === "proforma";
+}
+
+const CSV_COLUMNS = [
+  "document_type", "invoice_number", "original_number", "invoice_date", "due_date", "currency",
+  "supplier_name", "supplier_code", "supplier_vat_code",
+  "line_no", "sku", "item_code", "category", "description", "qty", "unit", "unit_price",
+  "vat_rate", "net", "vat", "gross", "batch", "expiry_date",
+];
+
+function round2(n) {
+  return +Number(n).toFixed(2);
+}
+
+// ---------- i.SAF ----------
+function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function el(name, value) {
+  return value == null || value === "" ? `<${name}/>` : `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+// Rate the header totals imply when the lines carry none
+function impliedRate(invoice) {
+  if (invoice.vat_rate != null) return invoice.vat_rate;
+  if (!invoice.total_net || invoice.total_vat == null) return null;
+
+  const r = (invoice.total_vat / invoice.total_net) * 100;
+  const known = Object.keys(ISAF_TAX_CODES).map(Number).find((k) => Math.abs(k - r) < 0.5);
+  return known ?? (invoice.total_vat === 0 ? 0 : null);
+}
+
+// One DocumentTotal per VAT rate: from the VAT breakdown, else from the lines
+// when every line has a rate, else a single row from the header totals
+function documentTotals({ invoice, lines }) {
+  invoice = invoice || {};
+  lines = lines || [];
+
+  // The printed per-rate summary is what the supplier declared
+  const breakdown = invoice.vat_breakdown || [];
+  if (breakdown.length && breakdown.every((b) => b.base != null && b.vat != null)) {
+    return breakdown.map((b) => ({ rate: b.rate, net: round2(b.base), vat: round2(b.vat) }));
+  }
+
+  const rated = lines.filter((l) => l.vat_rate != null && l.net != null);
+
+  if (rated.length && rated.length === lines.length) {
+    const byRate = new Map();
+    for (const l of rated) {
+      const t = byRate.get(l.vat_rate) || { rate: l.vat_rate, net: 0, vat: 0 };
+      t.net += l.net;
+      t.vat += l.vat ?? (l.net * l.vat_rate) / 100;
+      byRate.set(l.vat_rate, t);
+    }
+    return [...byRate.values()].map((t) => ({ rate: t.rate, net: round2(t.net), vat: round2(t.vat) }));
+  }
+
+  if (invoice.total_net == null) return [];
+  return [{ rate: impliedRate(invoice), net: round2(invoice.total_net), vat: round2(invoice.total_vat ?? 0) }];
+}
+
+function countryOf(party) {
+  const m = String(party?.vat_code || "").match(/^([A-Z]{2})/i);
+  return m ? m[1].toUpperCase() : "LT";
+}
+
+// dateOf: invoice number → date, for originals in the same export
+function isafInvoice(doc, dateOf = new Map()) {
+  const supplier = doc.supplier || {};
+  const invoice = doc.invoice || {};
+  const date = invoice.date || null;
+
+  // ReferenceDate only when the original's date is known
+  const refDate = invoice.original_date || dateOf.get(invoice.original_number) || null;
+  const references = invoice.original_number
+    ? `<References><Reference>${el("ReferenceNo", invoice.original_number)}${refDate ? el("ReferenceDate", refDate) : ""}</Reference></References>`
+    : "<References/>";
+
+  const totals = documentTotals(doc).map((t) =>
+    [
+      "<DocumentTotal>",
+      el("TaxableValue", t.net.toFixed(2)),
+      el("TaxCode", ISAF_TAX_CODES[t.rate]),
+      el("TaxPercentage", t.rate),
+      el("Amount", t.vat.toFixed(2)),
+      "</DocumentTotal>",
+    ].join("")
+  );
+
+  return [
+    "<Invoice>",
+    el("InvoiceNo", invoice.number),
+    "<SupplierInfo>",
+    el("VATRegistrationNumber", supplier.vat_code || "ND"),
+    el("RegistrationNumber", supplier.code),
+    el("Country", countryOf(supplier)),
+    el("Name", supplier.name),
+    "</SupplierInfo>",
+    el("InvoiceDate", date),
+    el("InvoiceType", ISAF_INVOICE_TYPES[invoice.document_type] || "SF"),
+    el("SpecialTaxation"),
+    references,
+    el("VATPointDate", date),
+    el("RegistrationAccountDate", date),
+    `<DocumentTotals>${totals.join("")}</DocumentTotals>`,
+    "</Invoice>",
+  ].join("\n");
+}
+
+// Entries of parsed.invoices that go into the i.SAF register
+function isafDocuments(parsed) {
+  return (parsed.invoices || [parsed]).filter((d) => !isProforma(d));
+}
+
+// parsed: one parseInvoice() result; every entry of parsed.invoices but the
+// proformas is exported.
+// registrationNumber: our own company code (the buyer for purchase invoices)
+function toISAF(parsed, { registrationNumber = null, software = "extractinvoice" } = {}) {
+  const all = parsed.invoices || [parsed];
+  const docs = isafDocuments(parsed);
+  const dateOf = new Map(all.filter((d) => d.invoice?.number && d.invoice?.date).map((d) => [d.invoice.number, d.invoice.date]));
+  const buyer = docs[0]?.buyer || {};
+  const dates = docs.map((d) => d.invoice?.date).filter(Boolean).sort();
+  const created = new Date().toISOString().slice(0, 19);
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<iSAFFile xmlns="${ISAF_NS}">`,
+    "<Header><FileDescription>",
+    el("FileVersion", ISAF_VERSION),
+    el("FileDateCreated", created),
+    el("DataType", "P"),
+    el("SoftwareCompanyName", software),
+    el("SoftwareName", software),
+    el("SoftwareVersion", "1"),
+    el("RegistrationNumber", registrationNumber || buyer.code),
+    el("NumberOfParts", 1),
+    el("PartNumber", 1),
+    "<SelectionCriteria>",
+    el("SelectionStartDate", dates[0]),
+    el("SelectionEndDate", dates[dates.length - 1]),
+    "</SelectionCriteria>",
+    "</FileDescription></Header>",
+    "<SourceDocuments><PurchaseInvoices>",
+    ...docs.map((d) => isafInvoice(d, dateOf)),
+    "</PurchaseInvoices></SourceDocuments>",
+    "</iSAFFile>",
+  ];
+
+  return xml.join("\n") + "\n";
+}
+
+// ---------- CSV ----------
+function csvCell(v, sep, decimal) {
+  if (v == null) return "";
+  const s = typeof v === "number" ? String(v).replace(".", decimal) : String(v);
+  return s.includes(sep) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// ";" and "," decimals by default: what Excel expects under Lithuanian
+// regional settings (it reads "12.10" there as text or a date)
+function toCSV(parsed, { sep = ";", decimal = sep === ";" ? "," : "." } = {}) {
+  const docs = parsed.invoices || [parsed];
+
+  const rows = docs.flatMap((doc) => {
+    const supplier = doc.supplier || {};
+    const invoice = doc.invoice || {};
+
+    return (doc.lines || []).map((l) => ({
+      document_type: invoice.document_type,
+      invoice_number: invoice.number,
+      original_number: invoice.original_number,
+      invoice_date: invoice.date,
+      due_date: invoice.due_date,
+      currency: invoice.currency,
+      supplier_name: supplier.name,
+      supplier_code: supplier.code,
+      supplier_vat_code: supplier.vat_code,
+      ...l,
+    }));
+  });
+
+  const out = [CSV_COLUMNS.join(sep)];
+  for (const r of rows) out.push(CSV_COLUMNS.map((c) => csvCell(r[c], sep, decimal)).join(sep));
+
+  // BOM so Excel reads the Lithuanian letters as UTF-8
+  return "\uFEFF" + out.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  ISAF_TAX_CODES,
+  CSV_COLUMNS,
+  documentTotals,
+  isafDocuments,
+  toISAF,
+  toCSV,
+};
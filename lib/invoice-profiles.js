@@ -0,0 +1,121 @@
+// lib/invoice-profiles.js
+// Per-supplier overrides for api/extractinvoice.js.
+//
+// A profile is picked by supplier company code, then VAT code, then by its
+// `match` regex on the invoice text. Anything a profile leaves out falls back
+// to the generic parser.
+//
+// {
+//   id, name,
+//   company_codes: ["..."], vat_codes: ["LT..."],
+//   match: /Supplier name/i,
+//   header: { number, date, total_net, total_vat, total_gross, vat_rate },  // RegExp, value in group 1
+//   lines: {
+//     layouts: ["full" | "four" | "min" | { name, re }],  // tried in order
+//     header: RegExp, // column header row (start of the line table)
+//     stop: RegExp,   // end of the line table
+//     skip: RegExp,   // rows to ignore inside the table
+//   },
+// }
+//
+// More profiles can be dropped in as JSON via INVOICE_PROFILES_PATH; the same
+// shape with regexes written as strings ("pattern" for custom layouts):
+//   [{ "id": "feed-co", "vat_codes": ["LT100000000000"],
+//      "header": { "number": "Sąskaitos Nr\\.\\s*(\\S+)" },
+//      "lines": { "layouts": [{ "name": "feed", "pattern": "^(?<desc>.+?)\\s+(?<qty>[\\d,.]+)\\s+t\\s+(?<price>[\\d,.]+)\\s+(?<sum>[\\d,.]+)$" }, "min"],
+//                 "stop": "Iš viso" } }]
+const fs = require("fs");
+
+const HEADER_FIELDS = ["number", "date", "total_net", "total_vat", "total_gross", "vat_rate"];
+
+const BUILTIN_PROFILES = [
+  {
+    id: "kalnapilis",
+    name: "Kalnapilis",
+    company_codes: [],
+    vat_codes: [],
+    match: /Kalnapil/i,
+    lines: { layouts: ["four", "min"] },
+  },
+  {
+    id: "avena",
+    name: "Avena",
+    company_codes: [],
+    vat_codes: [],
+    match: /Avena/i,
+    lines: { layouts: ["full", "min"] },
+  },
+];
+
+// ---------- JSON profiles ----------
+function toRegExp(v) {
+  if (v == null || v instanceof RegExp) return v ?? null;
+  return new RegExp(String(v), "i");
+}
+
+function compileProfile(p) {
+  const header = {};
+  for (const k of HEADER_FIELDS) if (p.header?.[k]) header[k] = toRegExp(p.header[k]);
+
+  const lines = p.lines
+    ? {
+        layouts: p.lines.layouts
+          ? p.lines.layouts.map((l) =>
+              typeof l === "string" ? l : { name: l.name || "custom", re: toRegExp(l.re || l.pattern) }
+            )
+          : undefined,
+        header: toRegExp(p.lines.header),
+        stop: toRegExp(p.lines.stop),
+        skip: toRegExp(p.lines.skip),
+      }
+    : undefined;
+
+  return {
+    id: String(p.id),
+    name: p.name || String(p.id),
+    company_codes: (p.company_codes || []).map(String),
+    vat_codes: (p.vat_codes || []).map((c) => String(c).toUpperCase()),
+    match: toRegExp(p.match),
+    header,
+    lines,
+  };
+}
+
+function loadFileProfiles() {
+  const file = process.env.INVOICE_PROFILES_PATH;
+  if (!file) return [];
+
+  try {
+    const arr = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(arr) ? arr.filter((p) => p && p.id).map(compileProfile) : [];
+  } catch (e) {
+    console.error("[invoice-profiles] cannot load", file, e?.message);
+    return [];
+  }
+}
+
+// File profiles first so they can shadow a built-in one
+const PROFILES = [...loadFileProfiles(), ...BUILTIN_PROFILES.map(compileProfile)];
+
+function findProfile({ code = null, vatCode = null, text = "" } = {}) {
+  const vat = vatCode ? String(vatCode).toUpperCase() : null;
+
+  if (code) {
+    const p = PROFILES.find((x) => x.company_codes.includes(String(code)));
+    if (p) return { profile: p, matched_by: "company_code" };
+  }
+
+  if (vat) {
+    const p = PROFILES.find((x) => x.vat_codes.includes(vat));
+    if (p) return { profile: p, matched_by: "vat_code" };
+  }
+
+  const p = PROFILES.find((x) => x.match && x.match.test(text || ""));
+  return p ? { profile: p, matched_by: "name" } : null;
+}
+
+module.exports = {
+  HEADER_FIELDS,
+  PROFILES,
+  findProfile,
+};
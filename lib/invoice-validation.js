@@ -0,0 +1,209 @@
+// lib/invoice-validation.js
+// Arithmetic cross-checks for a parsed invoice ({ invoice, lines }) and a
+// confidence score the bookkeeper can auto-approve on.
+const VALID_VAT_RATES = [21, 9, 5, 0];
+
+// Score at or above this with no discrepancies = safe to auto-approve
+const AUTO_APPROVE_CONFIDENCE = 0.9;
+
+const PENALTY = {
+  line_arithmetic: 0.1,
+  line_vat: 0.1,
+  invalid_vat_rate: 0.15,
+  header_arithmetic: 0.25,
+  lines_vs_header: 0.25,
+  derived_total: 0.1,
+  breakdown_vat: 0.1,
+  breakdown_vs_lines: 0.2,
+  breakdown_vs_header: 0.2,
+  reverse_charge_vat: 0.25,
+  due_before_issue: 0.1,
+  missing_total: 0.15,
+  missing_field: 0.1,
+  no_lines: 0.3,
+  party_code: 0.1,
+};
+
+// Cent rounding on each side, plus a little slack for long quantities
+function close(a, b) {
+  return Math.abs(a - b) <= Math.max(0.02, Math.abs(b) * 0.001);
+}
+
+function round2(n) {
+  return +n.toFixed(2);
+}
+
+// `warnings` are party code problems from lib/lt-codes.js; they never block
+// reconciliation but do block auto-approval
+function validateInvoice({ invoice = {}, lines = [] } = {}, { derivedTotals = [], warnings = [] } = {}) {
+  const discrepancies = [];
+  let checks = 0;
+
+  const flag = (code, data) => discrepancies.push({ code, ...data });
+
+  // ---- lines ----
+  for (const l of lines) {
+    const at = { scope: "line", line_no: l.line_no };
+
+    if (l.qty != null && l.unit_price != null && l.net != null) {
+      checks++;
+      const expected = round2(l.qty * l.unit_price);
+      if (!close(l.net, expected)) {
+        flag("line_arithmetic", { ...at, message: "qty × unit_price ≠ net", expected, actual: l.net });
+      }
+    }
+
+    if (l.net != null && l.vat != null && l.gross != null) {
+      checks++;
+      const expected = round2(l.net + l.vat);
+      if (!close(l.gross, expected)) {
+        flag("line_arithmetic", { ...at, message: "net + VAT ≠ gross", expected, actual: l.gross });
+      }
+    }
+
+    if (l.vat_rate != null) {
+      checks++;
+      if (!VALID_VAT_RATES.includes(l.vat_rate)) {
+        flag("invalid_vat_rate", { ...at, message: "Not a Lithuanian VAT rate", actual: l.vat_rate });
+      } else if (l.net != null && l.vat != null) {
+        const expected = round2((l.net * l.vat_rate) / 100);
+        if (!close(l.vat, expected)) {
+          flag("line_vat", { ...at, message: `VAT ≠ ${l.vat_rate}% of net`, expected, actual: l.vat });
+        }
+      }
+    }
+  }
+
+  // ---- header ----
+  const { total_net: net, total_vat: vat, total_gross: gross } = invoice;
+
+  if (net != null && vat != null && gross != null) {
+    checks++;
+    const expected = round2(net + vat);
+    if (!close(gross, expected)) {
+      flag("header_arithmetic", { scope: "header", message: "total_net + total_vat ≠ total_gross", expected, actual: gross });
+    }
+  }
+
+  if (invoice.vat_rate != null) {
+    checks++;
+    if (!VALID_VAT_RATES.includes(invoice.vat_rate)) {
+      flag("invalid_vat_rate", { scope: "header", message: "Not a Lithuanian VAT rate", actual: invoice.vat_rate });
+    }
+  }
+
+  // ---- lines vs header (totals copied from the lines prove nothing) ----
+  const sums = {
+    total_net: ["net", lines.filter((l) => l.net != null)],
+    total_vat: ["vat", lines.filter((l) => l.vat != null)],
+    total_gross: ["gross", lines.filter((l) => l.gross != null)],
+  };
+
+  for (const [key, [field, withValue]] of Object.entries(sums)) {
+    if (invoice[key] == null || derivedTotals.includes(key)) continue;
+    if (!withValue.length || withValue.length !== lines.length) continue;
+
+    checks++;
+    const sum = round2(withValue.reduce((a, l) => a + l[field], 0));
+    if (!close(invoice[key], sum)) {
+      flag("lines_vs_header", { scope: "header", field: key, message: `Sum of line ${field} ≠ ${key}`, expected: invoice[key], actual: sum });
+    }
+  }
+
+  // ---- VAT breakdown (per-rate summary block) ----
+  const breakdown = invoice.vat_breakdown || [];
+
+  for (const b of breakdown) {
+    const at = { scope: "vat_breakdown", rate: b.rate };
+
+    if (!VALID_VAT_RATES.includes(b.rate)) {
+      checks++;
+      flag("invalid_vat_rate", { ...at, message: "Not a Lithuanian VAT rate", actual: b.rate });
+    } else if (b.base != null && b.vat != null) {
+      checks++;
+      const expected = round2((b.base * b.rate) / 100);
+      if (!close(b.vat, expected)) {
+        flag("breakdown_vat", { ...at, message: `VAT ≠ ${b.rate}% of base`, expected, actual: b.vat });
+      }
+    }
+  }
+
+  // Per-rate line sums, only when every line says which rate it is on
+  if (breakdown.length && lines.length && lines.every((l) => l.vat_rate != null && l.net != null)) {
+    const lineBase = new Map();
+    for (const l of lines) lineBase.set(l.vat_rate, (lineBase.get(l.vat_rate) || 0) + l.net);
+
+    const rates = new Set([...lineBase.keys(), ...breakdown.map((b) => b.rate)]);
+    for (const rate of rates) {
+      checks++;
+      const expected = breakdown.find((b) => b.rate === rate)?.base ?? 0;
+      const actual = round2(lineBase.get(rate) || 0);
+      if (!close(actual, expected)) {
+        flag("breakdown_vs_lines", { scope: "vat_breakdown", rate, message: `Sum of ${rate}% line net ≠ breakdown base`, expected, actual });
+      }
+    }
+  }
+
+  for (const [key, field] of [["total_net", "base"], ["total_vat", "vat"]]) {
+    if (!breakdown.length || invoice[key] == null || derivedTotals.includes(key)) continue;
+    if (breakdown.some((b) => b[field] == null)) continue;
+
+    checks++;
+    const sum = round2(breakdown.reduce((a, b) => a + b[field], 0));
+    if (!close(invoice[key], sum)) {
+      flag("breakdown_vs_header", { scope: "vat_breakdown", field: key, message: `Sum of breakdown ${field} ≠ ${key}`, expected: invoice[key], actual: sum });
+    }
+  }
+
+  // Reverse charge: the buyer accounts for the VAT, so the invoice shows none
+  if (invoice.reverse_charge) {
+    checks++;
+    if (invoice.total_vat) {
+      flag("reverse_charge_vat", { scope: "header", message: "Reverse-charge invoice with VAT charged", expected: 0, actual: invoice.total_vat });
+    }
+  }
+
+  // ---- dates ----
+  if (invoice.date && invoice.due_date) {
+    checks++;
+    if (invoice.due_date < invoice.date) {
+      flag("due_before_issue", { scope: "header", field: "due_date", message: "Due date before invoice date", expected: invoice.date, actual: invoice.due_date });
+    }
+  }
+
+  // ---- completeness ----
+  const missing = [];
+  if (!invoice.number) missing.push("number");
+  if (!invoice.date) missing.push("date");
+
+  const missingTotals = ["total_net", "total_vat", "total_gross"].filter((k) => invoice[k] == null);
+
+  // ---- confidence ----
+  let score = 1;
+  for (const d of discrepancies) score -= PENALTY[d.code] || 0.1;
+  score -= derivedTotals.length * PENALTY.derived_total;
+  score -= missingTotals.length * PENALTY.missing_total;
+  score -= missing.length * PENALTY.missing_field;
+  score -= warnings.length * PENALTY.party_code;
+  if (!lines.length) score -= PENALTY.no_lines;
+
+  const confidence = round2(Math.min(1, Math.max(0, score)));
+  const reconciled = !discrepancies.length && !derivedTotals.length && !missingTotals.length;
+
+  return {
+    reconciled,
+    confidence,
+    auto_approve: reconciled && !missing.length && !warnings.length && confidence >= AUTO_APPROVE_CONFIDENCE,
+    checks,
+    discrepancies,
+    warnings,
+    derived_totals: derivedTotals,
+    missing: [...missing, ...missingTotals],
+  };
+}
+
+module.exports = {
+  VALID_VAT_RATES,
+  AUTO_APPROVE_CONFIDENCE,
+  validateInvoice,
+};
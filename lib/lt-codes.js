@@ -0,0 +1,105 @@
+// lib/lt-codes.js
+// Checksums for Lithuanian company codes, LT VAT numbers and IBANs.
+// Each validator returns null when the value is fine, else a warning
+// { code, message }.
+
+// Two-pass mod 11 used by both the company code and the LT VAT number
+function mod11Check(digits, firstWeights, secondWeights) {
+  const weigh = (ws) => digits.reduce((a, d, i) => a + d * ws[i], 0) % 11;
+
+  let r = weigh(firstWeights);
+  if (r === 10) r = weigh(secondWeights);
+  return r === 10 ? 0 : r;
+}
+
+function validateCompanyCode(value) {
+  const s = String(value ?? "").trim();
+
+  if (!/^\d{9}$/.test(s)) {
+    return { code: "company_code_format", message: "Company code must have 9 digits" };
+  }
+
+  const d = s.split("").map(Number);
+  const check = mod11Check(d.slice(0, 8), [1, 2, 3, 4, 5, 6, 7, 8], [3, 4, 5, 6, 7, 8, 9, 1]);
+
+  return check === d[8]
+    ? null
+    : { code: "company_code_checksum", message: "Company code check digit does not match" };
+}
+
+// LT + 9 digits (legal entities) or LT + 12 digits (temporary / natural persons)
+function validateVatCode(value) {
+  const s = String(value ?? "").replace(/\s/g, "").toUpperCase();
+
+  if (!/^[A-Z]{2}[0-9A-Z]{2,13}$/.test(s)) {
+    return { code: "vat_code_format", message: "Not a VAT number" };
+  }
+  if (!s.startsWith("LT")) return null; // other EU states: format only
+
+  const body = s.slice(2);
+  if (!/^(\d{9}|\d{12})$/.test(body)) {
+    return { code: "vat_code_format", message: "LT VAT number must have 9 or 12 digits" };
+  }
+
+  const d = body.split("").map(Number);
+  const long = d.length === 12;
+
+  if (d[long ? 10 : 7] !== 1) {
+    return { code: "vat_code_format", message: "LT VAT number has no '1' before the check digit" };
+  }
+
+  const check = long
+    ? mod11Check(d.slice(0, 11), [1, 2, 3, 4, 5, 6, 7, 8, 9, 1, 2], [3, 4, 5, 6, 7, 8, 9, 1, 2, 3, 4])
+    : mod11Check(d.slice(0, 8), [1, 2, 3, 4, 5, 6, 7, 8], [3, 4, 5, 6, 7, 8, 9, 1]);
+
+  return check === d[d.length - 1]
+    ? null
+    : { code: "vat_code_checksum", message: "LT VAT number check digit does not match" };
+}
+
+function validateIban(value) {
+  const s = String(value ?? "").replace(/\s/g, "").toUpperCase();
+
+  if (!/^[A-Z]{2}\d{2}[0-9A-Z]{11,30}$/.test(s)) {
+    return { code: "iban_format", message: "Not an IBAN" };
+  }
+  if (s.startsWith("LT") && s.length !== 20) {
+    return { code: "iban_format", message: "LT IBAN must be 20 characters" };
+  }
+
+  // mod 97 over the rearranged number, digit by digit to stay in range
+  const rearranged = s.slice(4) + s.slice(0, 4);
+  let rem = 0;
+  for (const ch of rearranged) {
+    const v = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const digit of v) rem = (rem * 10 + Number(digit)) % 97;
+  }
+
+  return rem === 1 ? null : { code: "iban_checksum", message: "IBAN check digits do not match" };
+}
+
+// Party block ({ code, vat_code, iban }) → [{ party, field, value, code, message }]
+function validatePartyCodes(role, party) {
+  if (!party) return [];
+
+  const checks = [
+    ["code", validateCompanyCode],
+    ["vat_code", validateVatCode],
+    ["iban", validateIban],
+  ];
+
+  const out = [];
+  for (const [field, validate] of checks) {
+    if (!party[field]) continue;
+    const w = validate(party[field]);
+    if (w) out.push({ party: role, field, value: party[field], ...w });
+  }
+  return out;
+}
+
+module.exports = {
+  validateCompanyCode,
+  validateVatCode,
+  validateIban,
+  validatePartyCodes,
+};
@@ -0,0 +1,217 @@
+// lib/medicine-registry.js
+// Veterinary medicines we buy, with their withdrawal periods, matched against
+// invoice lines. Starts empty: entries are added by the farm through
+// api/medicine-registry.js.
+//
+// <HERD_STORE_DIR>/medicines.json (or MEDICINE_REGISTRY_PATH):
+//   [{ id, name, active_substance, pattern, withdrawal_milk_days, withdrawal_meat_days, notes }]
+//
+//   pattern – regex (string) on the line description; without it the name is
+//             looked for in the description (case and diacritics ignored)
+const path = require("path");
+const crypto = require("crypto");
+const { STORE_DIR, readJson, updateJson, invoiceDocuments } = require("./herd-store.js");
+const { inputError } = require("./uploads.js");
+
+const REGISTRY_PATH = process.env.MEDICINE_REGISTRY_PATH || path.join(STORE_DIR, "medicines.json");
+
+function fold(s) {
+  return String(s || "").normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+// null for a pattern that does not compile
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, "iu");
+  } catch {
+    return null;
+  }
+}
+
+// ---------- storage ----------
+async function listMedicines() {
+  return readJson(REGISTRY_PATH, []);
+}
+
+async function getMedicine(id) {
+  return (await listMedicines()).find((m) => m.id === id) || null;
+}
+
+function days(v, field) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0) throw inputError(`"${field}" must be a whole number of days.`);
+  return n;
+}
+
+// Throws a 400 input error on bad input; messages are meant for the API response
+function cleanMedicine(input, base = {}) {
+  const m = { ...base };
+
+  for (const k of ["name", "active_substance", "pattern", "notes"]) {
+    if (input[k] === undefined) continue;
+    const v = input[k] == null ? null : String(input[k]).trim();
+    m[k] = v === "" ? null : v;
+  }
+  for (const k of ["withdrawal_milk_days", "withdrawal_meat_days"]) {
+    if (input[k] !== undefined) m[k] = days(input[k], k);
+  }
+
+  if (!m.name) throw inputError('"name" is required.');
+  if (m.pattern && !compilePattern(m.pattern)) throw inputError('"pattern" is not a valid regular expression.');
+
+  return {
+    active_substance: null,
+    pattern: null,
+    withdrawal_milk_days: null,
+    withdrawal_meat_days: null,
+    notes: null,
+    ...m,
+  };
+}
+
+async function createMedicine(input) {
+  const medicine = { id: `med-${crypto.randomBytes(4).toString("hex")}`, ...cleanMedicine(input) };
+
+  await updateJson(REGISTRY_PATH, [], (all) => [...all, medicine]);
+  return medicine;
+}
+
+async function updateMedicine(id, patch) {
+  let updated = null;
+
+  await updateJson(REGISTRY_PATH, [], (all) =>
+    all.map((m) => (m.id === id ? (updated = { ...cleanMedicine(patch, m), id }) : m))
+  );
+  return updated;
+}
+
+async function deleteMedicine(id) {
+  let deleted = false;
+
+  await updateJson(REGISTRY_PATH, [], (all) => {
+    const kept = all.filter((m) => m.id !== id);
+    deleted = kept.length !== all.length;
+    return kept;
+  });
+  return deleted;
+}
+
+// ---------- matching ----------
+// An entry whose stored pattern does not compile (a hand-edited file) is
+// matched by name, so one bad entry never breaks invoice parsing
+async function loadRegistry() {
+  return (await listMedicines()).map((m) => ({
+    ...m,
+    _re: m.pattern ? compilePattern(m.pattern) : null,
+    _name: fold(m.name),
+  }));
+}
+
+// Pattern entries first (they are the deliberate ones), then the longest name
+function matchMedicine(registry, description) {
+  const text = String(description || "");
+  const folded = fold(text);
+
+  const byPattern = registry.find((m) => m._re && m._re.test(text));
+  if (byPattern) return byPattern;
+
+  return registry
+    .filter((m) => !m._re && m._name && folded.includes(m._name))
+    .sort((a, b) => b._name.length - a._name.length)[0] || null;
+}
+
+function medicineRef(m) {
+  return {
+    id: m.id,
+    name: m.name,
+    active_substance: m.active_substance,
+    withdrawal_milk_days: m.withdrawal_milk_days,
+    withdrawal_meat_days: m.withdrawal_meat_days,
+  };
+}
+
+// Adds `medicine` to every line; a catalogue "veterinary_medicine" line the
+// registry doesn't know is reported so it can be added
+function applyRegistry(lines, registry = []) {
+  const unregistered = [];
+
+  const out = lines.map((l) => {
+    const m = registry.length ? matchMedicine(registry, l.description) : null;
+    if (!m && l.category === "veterinary_medicine") unregistered.push(l.line_no);
+    return { ...l, medicine: m ? medicineRef(m) : null };
+  });
+
+  return { lines: out, unregistered };
+}
+
+// ---------- stock bought ----------
+// Medicine lines from the stored invoices dated in [from, to]
+async function medicinePurchases({ from = null, to = null } = {}) {
+  const registry = await loadRegistry();
+  const purchases = [];
+
+  for (const { date, upload_id, doc } of await invoiceDocuments({ from, to })) {
+    const inv = doc.invoice || {};
+
+    for (const l of doc.lines || []) {
+      const m = matchMedicine(registry, l.description);
+      if (!m && l.category !== "veterinary_medicine") continue;
+
+      purchases.push({
+        date,
+        invoice_number: inv.number || null,
+        document_type: inv.document_type || "invoice",
+        supplier: doc.supplier?.name || null,
+        upload_id,
+        description: l.description,
+        qty: l.qty,
+        unit: l.unit,
+        net: l.net,
+        batch: l.batch ?? null,
+        expiry_date: l.expiry_date ?? null,
+        medicine: m ? medicineRef(m) : null,
+      });
+    }
+  }
+
+  // Quantity per medicine and unit (credit notes carry negative quantities)
+  const totals = new Map();
+  for (const p of purchases) {
+    const name = p.medicine ? p.medicine.name : p.description;
+    const key = `${p.medicine?.id || name}|${p.unit || ""}`;
+    const t = totals.get(key) || {
+      medicine_id: p.medicine?.id || null,
+      name,
+      unit: p.unit,
+      qty: 0,
+      net: 0,
+      batches: [],
+    };
+    t.qty = +(t.qty + (p.qty || 0)).toFixed(3);
+    t.net = +(t.net + (p.net || 0)).toFixed(2);
+    if (p.batch && !t.batches.includes(p.batch)) t.batches.push(p.batch);
+    totals.set(key, t);
+  }
+
+  return {
+    from,
+    to,
+    count: purchases.length,
+    unregistered: purchases.filter((p) => !p.medicine).length,
+    totals: [...totals.values()],
+    purchases,
+  };
+}
+
+module.exports = {
+  listMedicines,
+  getMedicine,
+  createMedicine,
+  updateMedicine,
+  deleteMedicine,
+  loadRegistry,
+  matchMedicine,
+  applyRegistry,
+  medicinePurchases,
+};
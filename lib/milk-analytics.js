@@ -0,0 +1,131 @@
+// lib/milk-analytics.js
+// Per-cow yield analytics over an ordered milkings list (see lib/milkings.js).
+const { toNum } = require("./cells.js");
+const { at2Milkings } = require("./milkings.js");
+
+// Latest milking this far below the reference counts as a sharp drop
+const DEFAULT_DROP_RATIO = 0.3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(n, digits = 2) {
+  return n == null || !Number.isFinite(n) ? null : +n.toFixed(digits);
+}
+
+function milkingTime(m) {
+  if (!m.time || !/^\d{2}:\d{2}$/.test(m.time)) return null;
+  return Date.parse(`${m.date}T${m.time}:00Z`);
+}
+
+function dailyTotals(milkings) {
+  const days = new Map();
+
+  for (const m of milkings) {
+    const d = days.get(m.date) || { date: m.date, total: 0, milkings: 0 };
+    d.total += m.weight;
+    d.milkings += 1;
+    days.set(m.date, d);
+  }
+
+  return [...days.values()].map((d) => ({ ...d, total: round(d.total) }));
+}
+
+// Least-squares slope of daily totals, in kg per day
+function trendSlope(days) {
+  if (days.length < 2) return null;
+
+  const t0 = Date.parse(days[0].date);
+  const xs = days.map((d) => (Date.parse(d.date) - t0) / DAY_MS);
+  const ys = days.map((d) => d.total);
+
+  const mx = xs.reduce((a, x) => a + x, 0) / xs.length;
+  const my = ys.reduce((a, y) => a + y, 0) / ys.length;
+
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < xs.length; i++) {
+    num += (xs[i] - mx) * (ys[i] - my);
+    den += (xs[i] - mx) ** 2;
+  }
+
+  return den ? round(num / den, 3) : null;
+}
+
+function median(list) {
+  if (!list.length) return null;
+  const s = [...list].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// The export window usually cuts the first and last day short; those days
+// would drag the averages and the slope down.
+function completeDays(days) {
+  const perDay = median(days.map((d) => d.milkings));
+  return days.filter((d) => d.milkings >= perDay);
+}
+
+// `avgWeight` may be a per-milking or a per-day average depending on the
+// robot settings; when it is well above the typical single milking it is
+// treated as daily and split by the observed milkings per day.
+function referenceWeight(avgWeight, milkings, fullDays) {
+  if (avgWeight == null || avgWeight <= 0) return null;
+
+  const typical = median(milkings.map((m) => m.weight));
+  if (typical == null || avgWeight <= typical * 1.5) return avgWeight;
+
+  const perDay = median(fullDays.map((d) => d.milkings));
+  return perDay ? avgWeight / perDay : avgWeight;
+}
+
+function analyzeMilkings(milkings, { avgWeight = null, dropRatio = DEFAULT_DROP_RATIO } = {}) {
+  const days = dailyTotals(milkings);
+  const fullDays = completeDays(days);
+  const latest = milkings[milkings.length - 1] || null;
+
+  const lastDay = fullDays.length ? Date.parse(fullDays[fullDays.length - 1].date) : null;
+  const week = fullDays.filter((d) => lastDay - Date.parse(d.date) < 7 * DAY_MS);
+  const avg7d = week.length ? week.reduce((a, d) => a + d.total, 0) / week.length : null;
+
+  const intervals = [];
+  for (let i = 1; i < milkings.length; i++) {
+    const a = milkingTime(milkings[i - 1]);
+    const b = milkingTime(milkings[i]);
+    if (a != null && b != null) intervals.push(round((b - a) / (60 * 60 * 1000)));
+  }
+
+  const reference = referenceWeight(avgWeight, milkings, fullDays);
+  const dropPct = latest && reference ? (reference - latest.weight) / reference : null;
+
+  return {
+    milkings,
+    daily_totals: days,
+    avg_7d: round(avg7d),
+    trend_slope: trendSlope(fullDays),
+    intervals_hours: intervals,
+    avg_interval_hours: intervals.length
+      ? round(intervals.reduce((a, h) => a + h, 0) / intervals.length)
+      : null,
+    latest_weight: latest ? latest.weight : null,
+    reference_weight: round(reference),
+    drop_pct: dropPct == null ? null : round(dropPct * 100, 1),
+    sharp_drop: dropPct != null && dropPct >= dropRatio,
+  };
+}
+
+// AT2 row → { cow_number, ...analytics }
+function at2Analytics(row, opts = {}) {
+  return {
+    cow_number: row?.cow_number ?? null,
+    ...analyzeMilkings(at2Milkings(row), {
+      ...opts,
+      avgWeight: toNum(row?.avg_milk_prod_weight),
+    }),
+  };
+}
+
+module.exports = {
+  DEFAULT_DROP_RATIO,
+  analyzeMilkings,
+  at2Analytics,
+};
@@ -0,0 +1,62 @@
+// lib/milkings.js
+// Turns the flat milking columns of GEA rows and AT2 rows into ordered
+// [{ date, time, weight }] lists.
+const { toISODate, toTime, toNum } = require("./cells.js");
+
+const AT2_MILKING_SLOTS = 9;
+const GEA_MILKING_SUFFIXES = ["", "_2", "_3", "_4", "_5", "_6", "_7", "_8", "_9"];
+
+function toMilking(date, time, weight) {
+  const d = toISODate(date);
+  const w = toNum(weight);
+  if (!d || w == null) return null;
+  return { date: d, time: toTime(time), weight: w };
+}
+
+// Sorts by date+time and drops repeats of the same milking.
+function orderMilkings(list) {
+  const seen = new Set();
+
+  return list
+    .filter(Boolean)
+    .sort((a, b) => `${a.date} ${a.time || ""}`.localeCompare(`${b.date} ${b.time || ""}`))
+    .filter((m) => {
+      const key = `${m.date} ${m.time || ""}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// AT2 row: milking_date_1..9 / milking_time_1..9 / milking_weight_1..9 + last_milking_*
+function at2Milkings(row) {
+  if (!row) return [];
+
+  const list = [toMilking(row.last_milking_date, row.last_milking_time, row.last_milking_weight)];
+
+  for (let i = 1; i <= AT2_MILKING_SLOTS; i++) {
+    list.push(toMilking(row[`milking_date_${i}`], row[`milking_time_${i}`], row[`milking_weight_${i}`]));
+  }
+
+  return orderMilkings(list);
+}
+
+// GEA row (after normalizeRow): 'melzimo data' / 'melzimo laikas' / 'pieno kiekis' + _2.._n
+function geaMilkings(row) {
+  if (!row) return [];
+
+  const list = [];
+
+  for (const sfx of GEA_MILKING_SUFFIXES) {
+    if (!(`melzimo data${sfx}` in row)) continue;
+    list.push(toMilking(row[`melzimo data${sfx}`], row[`melzimo laikas${sfx}`], row[`pieno kiekis${sfx}`]));
+  }
+
+  return orderMilkings(list);
+}
+
+module.exports = {
+  orderMilkings,
+  at2Milkings,
+  geaMilkings,
+};
@@ -0,0 +1,218 @@
+// lib/ocr.js
+// Offline OCR fallback for scanned PDFs. Scanners store every page as one
+// embedded bitmap, so the page images are read straight from the PDF objects
+// (no rendering) and run through tesseract.js with the Lithuanian language
+// data bundled in @tesseract.js-data/lit – nothing is downloaded.
+//
+// Supported page images: JPEG (DCTDecode) and 8-bit / 1-bit gray or RGB
+// Flate bitmaps. CCITT fax and JPEG 2000 pages are reported as skipped.
+const path = require("path");
+const zlib = require("zlib");
+
+// pdf-parse text shorter than this (without whitespace) means a scan
+const MIN_TEXT_CHARS = 40;
+
+// Smaller images are logos and stamps, not pages
+const MIN_PAGE_SIDE = 400;
+
+const OCR_LANG = "lit";
+const LANG_PATH = path.join(path.dirname(require.resolve("@tesseract.js-data/lit/package.json")), "4.0.0_best_int");
+
+function textChars(text) {
+  return String(text || "").replace(/\s+/g, "").length;
+}
+
+// ---------- page images ----------
+function dictNumber(dict, key) {
+  const m = dict.match(new RegExp(`/${key}\\s+(\\d+)(?!\\s+\\d+\\s+R)`));
+  return m ? Number(m[1]) : null;
+}
+
+function dictFilters(dict) {
+  const m = dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/);
+  return m ? m[1].match(/\/\w+/g).map((f) => f.slice(1)) : [];
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// Raw PDF samples → PNG (adds the per-row filter byte PNG expects)
+function bitmapToPng({ width, height, bits, channels, samples, invert }) {
+  const rowBytes = Math.ceil((width * channels * bits) / 8);
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const row = Buffer.from(samples.subarray(y * rowBytes, (y + 1) * rowBytes));
+    if (invert) for (let i = 0; i < row.length; i++) row[i] = 255 - row[i];
+    rows.push(Buffer.from([0]), row);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bits;
+  ihdr[9] = channels === 3 ? 2 : 0;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(Buffer.concat(rows))),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function imageFromStream(dict, data) {
+  const width = dictNumber(dict, "Width");
+  const height = dictNumber(dict, "Height");
+  const filters = dictFilters(dict);
+  const base = { width, height, filter: filters.join("+") || "none" };
+
+  if (!width || !height) return { ...base, skipped: "no size" };
+  if (filters.length === 1 && filters[0] === "DCTDecode") return { ...base, format: "jpeg", data };
+
+  if (filters.length === 1 && filters[0] === "FlateDecode") {
+    if (/\/Predictor\s+(?:[2-9]|1\d)/.test(dict)) return { ...base, skipped: "predictor" };
+
+    const mask = /\/ImageMask\s+true/.test(dict);
+    const bits = mask ? 1 : dictNumber(dict, "BitsPerComponent");
+    const channels = /\/DeviceRGB/.test(dict) ? 3 : /\/DeviceGray/.test(dict) || mask ? 1 : null;
+    if (!channels || ![1, 8].includes(bits)) return { ...base, skipped: "colour space" };
+
+    // 0 is black in PDF and PNG alike, unless /Decode [1 0] flips it
+    const invert = /\/Decode\s*\[\s*1\s+0\s*\]/.test(dict);
+    // a corrupt stream skips this image, not the whole scan
+    try {
+      const samples = zlib.inflateSync(data);
+      return { ...base, format: "png", data: bitmapToPng({ width, height, bits, channels, samples, invert }) };
+    } catch (e) {
+      return { ...base, skipped: `corrupt data: ${e?.message || e}` };
+    }
+  }
+
+  return { ...base, skipped: "unsupported filter" };
+}
+
+// Image XObjects in file order; a scan has one per page, in page order
+function pageImages(pdfBuffer) {
+  const src = pdfBuffer.toString("latin1");
+  const objRe = /\b(\d+)\s+\d+\s+obj\b/g;
+  const images = [];
+  const skipped = [];
+  let m;
+
+  while ((m = objRe.exec(src))) {
+    const start = m.index + m[0].length;
+    const end = src.indexOf("endobj", start);
+    const streamAt = src.indexOf("stream", start);
+    if (end < 0) break;
+    if (streamAt < 0 || streamAt > end) continue;
+
+    const dict = src.slice(start, streamAt);
+    if (!/\/Subtype\s*\/Image/.test(dict)) continue;
+
+    // trust /Length only when "endstream" follows it
+    const dataStart = streamAt + 6 + (src.startsWith("\r\n", streamAt + 6) ? 2 : 1);
+    const length = dictNumber(dict, "Length");
+    let dataEnd = length != null ? dataStart + length : -1;
+    if (dataEnd < 0 || !/^\s*endstream/.test(src.slice(dataEnd, dataEnd + 16))) dataEnd = src.indexOf("endstream", dataStart);
+    if (dataEnd < 0) break;
+    objRe.lastIndex = dataEnd;
+
+    const img = imageFromStream(dict, pdfBuffer.subarray(dataStart, dataEnd));
+    if (Math.min(img.width || 0, img.height || 0) < MIN_PAGE_SIDE) continue;
+    if (img.skipped) skipped.push({ object: Number(m[1]), filter: img.filter, reason: img.skipped });
+    else images.push({ object: Number(m[1]), ...img });
+  }
+
+  return { images, skipped };
+}
+
+// ---------- OCR ----------
+async function ocrImages(images) {
+  // loaded on first scan only: the wasm core is heavy
+  const { createWorker } = require("tesseract.js");
+  const worker = await createWorker(OCR_LANG, 1, { langPath: LANG_PATH, cacheMethod: "none", gzip: true });
+
+  try {
+    const pages = [];
+    for (const img of images) {
+      const { data } = await worker.recognize(img.data);
+      pages.push({ text: data.text || "", confidence: Math.round(data.confidence) });
+    }
+    return pages;
+  } finally {
+    await worker.terminate();
+  }
+}
+
+// pdf-parse result → text to parse, plus how it was obtained:
+//   extraction.path – "text" (PDF text layer) or "ocr"
+//   extraction.ocr  – { lang, pages: [{ page, confidence, chars }], mean_confidence, skipped_images }
+async function extractText(pdfBuffer, parsed) {
+  const text = parsed?.text || "";
+  const extraction = {
+    path: "text",
+    text_chars: textChars(text),
+    pdf_pages: parsed?.numpages ?? null,
+    ocr: null,
+  };
+  if (extraction.text_chars >= MIN_TEXT_CHARS) return { text, extraction };
+
+  const { images, skipped } = pageImages(pdfBuffer);
+  if (!images.length) {
+    extraction.note = skipped.length
+      ? "Scanned PDF, but its page images are in a format the OCR cannot read."
+      : "PDF has no text layer and no page images.";
+    extraction.ocr = { lang: OCR_LANG, pages: [], mean_confidence: null, skipped_images: skipped };
+    return { text, extraction };
+  }
+
+  let pages;
+  try {
+    pages = await ocrImages(images);
+  } catch (e) {
+    extraction.note = `OCR failed: ${e?.message || e}`;
+    return { text, extraction };
+  }
+
+  const ocrText = pages.map((p) => p.text).join("\n");
+  extraction.ocr = {
+    lang: OCR_LANG,
+    pages: pages.map((p, i) => ({ page: i + 1, confidence: p.confidence, chars: textChars(p.text) })),
+    mean_confidence: Math.round(pages.reduce((a, p) => a + p.confidence, 0) / pages.length),
+    skipped_images: skipped,
+  };
+  if (images.length !== extraction.pdf_pages) {
+    extraction.note = `Found ${images.length} page images for ${extraction.pdf_pages} pages; OCR pages are numbered by image.`;
+  }
+
+  // keep the text layer if OCR found even less
+  if (textChars(ocrText) > extraction.text_chars) {
+    extraction.path = "ocr";
+    return { text: ocrText, extraction };
+  }
+  return { text, extraction };
+}
+
+module.exports = {
+  MIN_TEXT_CHARS,
+  pageImages,
+  extractText,
+};
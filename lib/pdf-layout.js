@@ -0,0 +1,106 @@
+// lib/pdf-layout.js
+// pdf.js text items with their page coordinates, for parsers that need the
+// table columns back instead of pdf-parse's flattened text.
+const pdfParse = require("pdf-parse");
+
+// Items this close vertically (PDF units) are on the same line
+const LINE_TOLERANCE = 2;
+
+// pdf-parse with a pagerender that keeps the items; the text is built the
+// same way as pdf-parse's default renderer, so text parsers see no change.
+//   pages – [{ page, items: [{ str, x, y, width }] }], y grows up the page
+async function parsePdfWithLayout(buffer) {
+  const pages = [];
+
+  const parsed = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      const items = [];
+      let lastY;
+      let text = "";
+
+      for (const item of content.items) {
+        text += lastY == item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+        if (item.str.trim()) {
+          items.push({ str: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0 });
+        }
+      }
+
+      pages.push({ page: pageData.pageIndex + 1, items });
+      return text;
+    },
+  });
+
+  pages.sort((a, b) => a.page - b.page);
+  return { parsed, pages };
+}
+
+// Items → lines top to bottom, each line's items left to right
+function textLines(items) {
+  const lines = [];
+
+  for (const item of [...items].sort((a, b) => b.y - a.y || a.x - b.x)) {
+    const line = lines.find((l) => Math.abs(l.y - item.y) <= LINE_TOLERANCE);
+    if (line) line.items.push(item);
+    else lines.push({ y: item.y, items: [item] });
+  }
+
+  for (const l of lines) {
+    l.items.sort((a, b) => a.x - b.x);
+    l.text = l.items.map((i) => i.str).join(" ").replace(/\s+/g, " ").trim();
+  }
+  return lines;
+}
+
+// Column x ranges from the header titles found in `headerItems`.
+//   columns – [{ key, re, optional }] in left-to-right order
+// A border sits halfway between one title's end and the next title's start,
+// which holds for left-aligned and centred titles alike. Null when a
+// required title is missing.
+function columnBounds(headerItems, columns) {
+  const found = [];
+
+  for (const col of columns) {
+    const item = headerItems.find((i) => col.re.test(i.str.trim()));
+    if (!item) {
+      if (col.optional) continue;
+      return null;
+    }
+    found.push({ key: col.key, start: item.x, end: item.x + item.width });
+  }
+
+  found.sort((a, b) => a.start - b.start);
+  return found.map((c, i) => ({
+    key: c.key,
+    from: i === 0 ? -Infinity : (found[i - 1].end + c.start) / 2,
+    to: i === found.length - 1 ? Infinity : (c.end + found[i + 1].start) / 2,
+  }));
+}
+
+// Items closer than this are pieces of one word (letter-spaced text)
+const WORD_GAP = 1.5;
+
+// One line's items → { key: text } by column
+function lineCells(line, bounds) {
+  const cells = {};
+  const ends = {};
+
+  for (const item of line.items) {
+    const col = bounds.find((b) => item.x >= b.from && item.x < b.to);
+    if (!col) continue;
+
+    const str = item.str.trim();
+    const prev = cells[col.key];
+    cells[col.key] = !prev ? str : item.x - ends[col.key] > WORD_GAP ? `${prev} ${str}` : prev + str;
+    ends[col.key] = item.x + item.width;
+  }
+  return cells;
+}
+
+module.exports = {
+  parsePdfWithLayout,
+  textLines,
+  columnBounds,
+  lineCells,
+};
@@ -0,0 +1,366 @@
+// lib/pedigree.js
+// Cow pedigree and genetic lines, and the inbreeding risk of a bull for a cow.
+//
+// What the exports carry is gathered from the stored uploads at query time:
+//   AT2  – blood_line, genetic_worth
+//   AT3  – bull_1..3 (bulls the cow was served with), lactation_number
+//   GEA  – 'veislinė vertė', and sire / dam when the export has such columns
+//          ('tėvas' / 'motina', see PARENT_COLUMNS)
+// The standard exports carry no parentage, so sire and dam are usually kept
+// by hand in <HERD_STORE_DIR>/pedigree.json (or PEDIGREE_PATH):
+//   { cows:  { <tag>:  { sire, dam, blood_line, notes } },
+//     bulls: { <code>: { sire, dam, blood_line, notes } } }
+// `dam` is a cow tag; `sire` is a bull code. A bull's dam may be one of our cows.
+const path = require("path");
+const { STORE_DIR, readJson, updateJson, listUploads, loadUpload } = require("./herd-store.js");
+const { normalizeTag } = require("./tags.js");
+const { inputError } = require("./uploads.js");
+
+const PEDIGREE_PATH = process.env.PEDIGREE_PATH || path.join(STORE_DIR, "pedigree.json");
+
+// Expected inbreeding of the calf at or above this is "high" (6.25 % = a
+// first-cousin mating, the usual breeding-advice ceiling)
+const MAX_INBREEDING = 0.0625;
+
+// Generations followed back from the cow and the bull
+const MAX_GENERATIONS = 4;
+
+// "unknown": nothing flagged, but the cow's or the bull's parentage is not
+// recorded, so a relationship cannot be ruled out
+const RISK_ORDER = ["high", "medium", "low", "unknown", "none"];
+
+// GEA headers that carry parentage, when the farm's export includes them
+const PARENT_COLUMNS = {
+  sire: /^(t[ėe]vas|t[ėe]vo\s*(?:nr|kodas|vardas)|sire|father)\b/i,
+  dam: /^(motina|motinos\s*(?:nr|numeris)|dam|mother)\b/i,
+};
+
+function bullKey(code) {
+  const s = code == null ? "" : String(code).trim().toUpperCase().replace(/\s+/g, " ");
+  return s || null;
+}
+
+function cowKey(tag) {
+  return normalizeTag(tag);
+}
+
+function text(v) {
+  return v == null || String(v).trim() === "" ? null : String(v).trim();
+}
+
+// ---------- storage ----------
+function manualOf(raw) {
+  return { cows: raw.cows || {}, bulls: raw.bulls || {} };
+}
+
+async function loadManual() {
+  return manualOf(await readJson(PEDIGREE_PATH, {}));
+}
+
+// Throws a 400 input error on bad input; messages are meant for the API response
+function cleanEntry(input, base = {}) {
+  const e = { ...base };
+
+  for (const k of ["sire", "dam", "blood_line", "notes"]) {
+    if (input[k] === undefined) continue;
+    e[k] = text(input[k]);
+  }
+  if (e.sire) e.sire = bullKey(e.sire);
+  if (e.dam) {
+    const dam = cowKey(e.dam);
+    if (!dam) throw inputError('"dam" must be a cow tag or cow number.');
+    e.dam = dam;
+  }
+
+  return { sire: null, dam: null, blood_line: null, notes: null, ...e };
+}
+
+// kind: "cows" | "bulls"
+async function setPedigree(kind, id, patch) {
+  const key = kind === "bulls" ? bullKey(id) : cowKey(id);
+  if (!key) throw inputError(kind === "bulls" ? '"bull" is required.' : '"cow" must be a tag or cow number.');
+
+  let entry = null;
+  await updateJson(PEDIGREE_PATH, {}, (raw) => {
+    const manual = manualOf(raw);
+    entry = cleanEntry(patch, manual[kind][key]);
+    if (kind === "cows" && entry.dam === key) throw inputError("A cow cannot be her own dam.");
+
+    manual[kind][key] = entry;
+    return manual;
+  });
+  return { key, ...entry };
+}
+
+async function deletePedigree(kind, id) {
+  const key = kind === "bulls" ? bullKey(id) : cowKey(id);
+  if (!key) return false;
+
+  let deleted = false;
+  await updateJson(PEDIGREE_PATH, {}, (raw) => {
+    const manual = manualOf(raw);
+    deleted = Boolean(manual[kind][key]);
+    delete manual[kind][key];
+    return manual;
+  });
+  return deleted;
+}
+
+// ---------- gathered from uploads ----------
+function cowRecord(map, key) {
+  if (!map.has(key)) {
+    map.set(key, {
+      cow: key,
+      ear_number: null,
+      blood_line: null,
+      genetic_worth: null,
+      breeding_value: null,
+      lactation_number: null,
+      sire: null,
+      dam: null,
+      service_bulls: new Map(),
+    });
+  }
+  return map.get(key);
+}
+
+// Oldest upload first, so later exports overwrite the single-value fields
+async function gatherFromUploads() {
+  const cows = new Map();
+
+  for (const entry of await listUploads()) {
+    if (entry.kind !== "automatic" && entry.kind !== "gea") continue;
+    const upload = await loadUpload(entry.id);
+    if (!upload) continue;
+
+    if (entry.kind === "gea") {
+      for (const r of upload.data?.rows || []) {
+        const key = cowKey(r.tag_no);
+        if (!key) continue;
+        const c = cowRecord(cows, key);
+        const value = text(r["veislinė vertė"]);
+        if (value) c.breeding_value = value;
+
+        for (const [col, v] of Object.entries(r)) {
+          if (!text(v)) continue;
+          if (PARENT_COLUMNS.sire.test(col)) c.sire = bullKey(v);
+          else if (PARENT_COLUMNS.dam.test(col) && cowKey(v) && cowKey(v) !== key) c.dam = cowKey(v);
+        }
+      }
+      continue;
+    }
+
+    for (const r of upload.data?.ataskaita2 || []) {
+      const key = cowKey(r.cow_number);
+      if (!key) continue;
+      const c = cowRecord(cows, key);
+      c.blood_line = text(r.blood_line) || c.blood_line;
+      c.genetic_worth = text(r.genetic_worth) || c.genetic_worth;
+    }
+
+    for (const r of upload.data?.ataskaita1 || []) {
+      const key = cowKey(r.cow_number);
+      if (key && text(r.ear_number)) cowRecord(cows, key).ear_number = text(r.ear_number);
+    }
+
+    for (const r of upload.data?.ataskaita3 || []) {
+      const key = cowKey(r.cow_number);
+      if (!key) continue;
+      const c = cowRecord(cows, key);
+      if (text(r.lactation_number)) c.lactation_number = text(r.lactation_number);
+
+      for (const b of [r.bull_1, r.bull_2, r.bull_3].map(bullKey).filter(Boolean)) {
+        const seen = c.service_bulls.get(b) || { bull: b, first_seen: entry.as_of, last_seen: entry.as_of };
+        seen.last_seen = entry.as_of;
+        c.service_bulls.set(b, seen);
+      }
+    }
+  }
+
+  return cows;
+}
+
+// Gathered data with the hand-kept parentage laid over it
+async function pedigreeBook() {
+  const [gathered, manual] = await Promise.all([gatherFromUploads(), loadManual()]);
+  const cows = new Map();
+
+  for (const key of new Set([...gathered.keys(), ...Object.keys(manual.cows)])) {
+    const g = gathered.get(key) || cowRecord(new Map(), key);
+    const m = manual.cows[key] || {};
+    cows.set(key, {
+      ...g,
+      sire: m.sire || g.sire || null,
+      dam: m.dam || g.dam || null,
+      blood_line: m.blood_line || g.blood_line,
+      notes: m.notes || null,
+      service_bulls: [...g.service_bulls.values()],
+    });
+  }
+
+  const bulls = new Map(Object.entries(manual.bulls).map(([k, b]) => [k, { bull: k, ...b }]));
+
+  // A dam may be given by ear tag while the robot numbers the cow
+  const byEar = new Map([...cows.values()].filter((c) => c.ear_number).map((c) => [cowKey(c.ear_number), c.cow]));
+  for (const rec of [...cows.values(), ...bulls.values()]) {
+    if (rec.dam && !cows.has(rec.dam) && byEar.has(rec.dam)) rec.dam = byEar.get(rec.dam);
+  }
+
+  return { cows, bulls };
+}
+
+// ---------- relationships ----------
+// Ancestors as [{ id, generations, line }], one entry per path; ids are
+// "cow:<tag>" / "bull:<code>", the animal itself is generation 0 and `line`
+// is every id on the path, the animal first
+function ancestorPaths(book, id, depth = 0, out = [], line = []) {
+  if (line.includes(id)) return out; // a loop in hand-kept data
+  const here = [...line, id];
+  out.push({ id, generations: depth, line: here });
+  if (depth >= MAX_GENERATIONS) return out;
+
+  const [kind, key] = id.split(/:(.*)/);
+  const rec = kind === "cow" ? book.cows.get(key) : book.bulls.get(key);
+  if (!rec) return out;
+
+  if (rec.sire) ancestorPaths(book, `bull:${rec.sire}`, depth + 1, out, here);
+  if (rec.dam) ancestorPaths(book, `cow:${rec.dam}`, depth + 1, out, here);
+  return out;
+}
+
+function relativesOf(book, key) {
+  const cow = book.cows.get(key);
+  const damKey = cow?.dam || null;
+
+  return {
+    dam: damKey,
+    daughters: [...book.cows.values()].filter((c) => c.dam === key).map((c) => c.cow),
+    sisters: damKey ? [...book.cows.values()].filter((c) => c.dam === damKey && c.cow !== key).map((c) => c.cow) : [],
+  };
+}
+
+// Wright's coefficient for the calf: Σ ½^(n1+n2+1) over pairs of paths from
+// the cow and the bull to a shared ancestor that meet nowhere else, so an
+// ancestor only reached through a nearer shared one adds nothing of its own
+// (the shared ancestors' own inbreeding is ignored, so an estimate)
+function calfInbreeding(book, cowId, bullId) {
+  const fromCow = ancestorPaths(book, cowId);
+  const fromBull = ancestorPaths(book, bullId);
+  const shared = new Map();
+
+  for (const a of fromCow) {
+    for (const b of fromBull) {
+      if (a.id !== b.id) continue;
+      if (a.line.some((x) => x !== a.id && b.line.includes(x))) continue;
+      shared.set(a.id, (shared.get(a.id) || 0) + 0.5 ** (a.generations + b.generations + 1));
+    }
+  }
+
+  const common = [...shared].map(([id, contribution]) => ({ ancestor: id, contribution: +contribution.toFixed(4) }));
+  return { coefficient: +common.reduce((a, c) => a + c.contribution, 0).toFixed(4), common_ancestors: common };
+}
+
+function parentageKnown(rec) {
+  return !!(rec?.sire || rec?.dam);
+}
+
+function riskFor(book, key, bull) {
+  const cow = book.cows.get(key);
+  const { coefficient, common_ancestors } = calfInbreeding(book, `cow:${key}`, `bull:${bull}`);
+  const reasons = [];
+  let risk = "none";
+  const raise = (level, reason) => {
+    reasons.push(reason);
+    if (RISK_ORDER.indexOf(level) < RISK_ORDER.indexOf(risk)) risk = level;
+  };
+
+  if (coefficient >= MAX_INBREEDING) raise("high", `Expected calf inbreeding ${(coefficient * 100).toFixed(2)} %.`);
+  else if (coefficient > 0) raise("medium", `Expected calf inbreeding ${(coefficient * 100).toFixed(2)} %.`);
+
+  // Parentage unknown: a bull that served the dam (or granddam) may be the sire
+  const dam = cow?.dam ? book.cows.get(cow.dam) : null;
+  if (!cow?.sire && dam?.service_bulls.some((s) => s.bull === bull)) {
+    raise("high", `Served the dam ${dam.cow}; may be this cow's sire.`);
+  }
+  const granddam = dam?.dam ? book.cows.get(dam.dam) : null;
+  if (!dam?.sire && granddam?.service_bulls.some((s) => s.bull === bull)) {
+    raise("medium", `Served the granddam ${granddam.cow}; may be this cow's grandsire.`);
+  }
+
+  const rel = relativesOf(book, key);
+  const usedOn = [...rel.daughters, ...rel.sisters].filter((k) =>
+    book.cows.get(k)?.service_bulls.some((s) => s.bull === bull)
+  );
+  if (usedOn.length) raise("low", `Already used on relatives: ${usedOn.join(", ")}.`);
+
+  const bullRec = book.bulls.get(bull);
+  const bullLine = bullRec?.blood_line;
+  if (bullLine && cow?.blood_line && bullLine.toLowerCase() === cow.blood_line.toLowerCase()) {
+    raise("low", `Same blood line as the cow (${cow.blood_line}).`);
+  }
+
+  if (risk === "none" && (!parentageKnown(cow) || !parentageKnown(bullRec))) {
+    risk = "unknown";
+    reasons.push(
+      !parentageKnown(cow)
+        ? `No sire or dam recorded for cow ${key}; relationship to the bull cannot be checked.`
+        : `No sire or dam recorded for bull ${bull}; relationship to the cow cannot be checked.`
+    );
+  }
+
+  return { bull, risk, inbreeding: coefficient, common_ancestors, reasons };
+}
+
+// ---------- queries ----------
+async function cowPedigree(tag) {
+  const key = cowKey(tag);
+  if (!key) return null;
+
+  const book = await pedigreeBook();
+  const cow = book.cows.get(key);
+  if (!cow) return null;
+
+  const ancestors = ancestorPaths(book, `cow:${key}`)
+    .filter((a) => a.generations > 0)
+    .map(({ id, generations }) => ({ id, generations }));
+  return { ...cow, relatives: relativesOf(book, key), ancestors };
+}
+
+async function listPedigree() {
+  return [...(await pedigreeBook()).cows.values()];
+}
+
+// Candidate bulls for `tag`, safest first. Without `bulls`, every bull in the
+// pedigree file or served to any cow is a candidate.
+async function inbreedingRisk(tag, bulls = []) {
+  const key = cowKey(tag);
+  if (!key) return null;
+
+  const book = await pedigreeBook();
+  const candidates = bulls.length
+    ? [...new Set(bulls.map(bullKey).filter(Boolean))]
+    : [...new Set([...book.bulls.keys(), ...[...book.cows.values()].flatMap((c) => c.service_bulls.map((s) => s.bull))])];
+
+  const results = candidates
+    .map((b) => riskFor(book, key, b))
+    .sort((a, b) => RISK_ORDER.indexOf(b.risk) - RISK_ORDER.indexOf(a.risk) || a.inbreeding - b.inbreeding || a.bull.localeCompare(b.bull));
+
+  const cow = book.cows.get(key);
+  return {
+    cow: key,
+    known: !!cow,
+    parentage_known: parentageKnown(cow),
+    max_inbreeding: MAX_INBREEDING,
+    count: results.length,
+    bulls: results,
+  };
+}
+
+module.exports = {
+  MAX_INBREEDING,
+  setPedigree,
+  deletePedigree,
+  listPedigree,
+  cowPedigree,
+  inbreedingRisk,
+};
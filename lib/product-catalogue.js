@@ -0,0 +1,174 @@
+// lib/product-catalogue.js
+// Maps invoice lines to our own item codes and cost categories.
+//
+// <HERD_STORE_DIR>/catalogue.json (or PRODUCT_CATALOGUE_PATH):
+//   [{ id, item_code, category, name, supplier, sku, pattern, unit }]
+//
+//   supplier – company code, VAT code or part of the supplier name; empty = any supplier
+//   sku      – supplier's article code, matched exactly
+//   pattern  – regex (string) on the line description, for suppliers without SKUs
+//   unit     – unit to assume when the line has none
+const path = require("path");
+const crypto = require("crypto");
+const { STORE_DIR, readJson, updateJson } = require("./herd-store.js");
+const { inputError } = require("./uploads.js");
+
+const CATALOGUE_PATH = process.env.PRODUCT_CATALOGUE_PATH || path.join(STORE_DIR, "catalogue.json");
+
+const CATEGORIES = ["feed", "veterinary_medicine", "fuel", "semen_straws", "services", "other"];
+
+// Spellings seen on invoices → our unit
+const UNIT_ALIASES = {
+  kg: ["kg", "kilogramas", "kilogramai", "kilogramų"],
+  t: ["t", "tn", "tona", "tonos", "tonų"],
+  "vnt.": ["vnt", "vienetas", "vienetai", "vienetų", "pcs", "pc", "ea", "unit", "units"],
+  l: ["l", "ltr", "litras", "litrai", "litrų"],
+  ml: ["ml"],
+  g: ["g", "gr"],
+  m3: ["m3", "m³", "kub.m", "kub. m"],
+  "pak.": ["pak", "pakuotė", "pakuotės"],
+  "doz.": ["doz", "dozė", "dozės", "dozių"],
+};
+
+const UNIT_LOOKUP = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map((a) => [a, unit]))
+);
+
+function normalizeUnit(unit) {
+  if (unit == null || unit === "") return null;
+  const key = String(unit).trim().toLowerCase().replace(/\.$/, "");
+  return UNIT_LOOKUP.get(key) || String(unit).trim();
+}
+
+function normalizeSku(sku) {
+  return sku ? String(sku).toUpperCase().replace(/\s+/g, "") : null;
+}
+
+// null for a pattern that does not compile
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, "iu");
+  } catch {
+    return null;
+  }
+}
+
+// ---------- storage ----------
+async function listProducts({ category = null } = {}) {
+  const all = await readJson(CATALOGUE_PATH, []);
+  return category ? all.filter((p) => p.category === category) : all;
+}
+
+async function getProduct(id) {
+  return (await listProducts()).find((p) => p.id === id) || null;
+}
+
+// Throws a 400 input error on bad input; messages are meant for the API response
+function cleanProduct(input, base = {}) {
+  const p = { ...base };
+
+  for (const k of ["item_code", "category", "name", "supplier", "sku", "pattern", "unit"]) {
+    if (input[k] === undefined) continue;
+    const v = input[k] == null ? null : String(input[k]).trim();
+    p[k] = v === "" ? null : v;
+  }
+
+  if (!p.item_code) throw inputError('"item_code" is required.');
+  if (!CATEGORIES.includes(p.category)) throw inputError(`"category" must be one of: ${CATEGORIES.join(", ")}.`);
+  if (!p.sku && !p.pattern) throw inputError('Give "sku" or "pattern" to match invoice lines.');
+
+  if (p.pattern && !compilePattern(p.pattern)) throw inputError('"pattern" is not a valid regular expression.');
+
+  p.unit = normalizeUnit(p.unit);
+  return p;
+}
+
+async function createProduct(input) {
+  const product = { id: `prod-${crypto.randomBytes(4).toString("hex")}`, ...cleanProduct(input) };
+
+  await updateJson(CATALOGUE_PATH, [], (all) => [...all, product]);
+  return product;
+}
+
+async function updateProduct(id, patch) {
+  let updated = null;
+
+  await updateJson(CATALOGUE_PATH, [], (all) =>
+    all.map((p) => (p.id === id ? (updated = { ...cleanProduct(patch, p), id }) : p))
+  );
+  return updated;
+}
+
+async function deleteProduct(id) {
+  let deleted = false;
+
+  await updateJson(CATALOGUE_PATH, [], (all) => {
+    const kept = all.filter((p) => p.id !== id);
+    deleted = kept.length !== all.length;
+    return kept;
+  });
+  return deleted;
+}
+
+// ---------- matching ----------
+// An entry whose stored pattern does not compile (a hand-edited file) only
+// matches by SKU, so one bad entry never breaks invoice parsing
+async function loadCatalogue() {
+  return (await listProducts()).map((p) => ({
+    ...p,
+    _sku: normalizeSku(p.sku),
+    _re: p.pattern ? compilePattern(p.pattern) : null,
+  }));
+}
+
+function supplierMatches(entry, supplier) {
+  if (!entry.supplier) return true;
+  if (!supplier) return false;
+
+  const want = entry.supplier.toLowerCase();
+  if (supplier.code && supplier.code === entry.supplier) return true;
+  if (supplier.vat_code && supplier.vat_code.toLowerCase() === want) return true;
+  return Boolean(supplier.name && supplier.name.toLowerCase().includes(want));
+}
+
+// Supplier-specific entries beat general ones; SKU beats description pattern
+function matchProduct(catalogue, line, supplier) {
+  const sku = normalizeSku(line.sku);
+  const candidates = catalogue.filter((e) => supplierMatches(e, supplier));
+  const ranked = [...candidates.filter((e) => e.supplier), ...candidates.filter((e) => !e.supplier)];
+
+  const bySku = sku && ranked.find((e) => e._sku && e._sku === sku);
+  if (bySku) return { entry: bySku, matched_by: "sku" };
+
+  const byPattern = ranked.find((e) => e._re && e._re.test(line.description || ""));
+  return byPattern ? { entry: byPattern, matched_by: "pattern" } : null;
+}
+
+// Adds item_code / category / catalogue_id and normalizes the unit of every line
+function applyCatalogue(lines, supplier, catalogue = []) {
+  return lines.map((l) => {
+    const hit = catalogue.length ? matchProduct(catalogue, l, supplier) : null;
+
+    return {
+      ...l,
+      unit: normalizeUnit(l.unit) ?? hit?.entry.unit ?? null,
+      item_code: hit ? hit.entry.item_code : null,
+      category: hit ? hit.entry.category : null,
+      catalogue_id: hit ? hit.entry.id : null,
+      catalogue_match: hit ? hit.matched_by : null,
+    };
+  });
+}
+
+module.exports = {
+  CATEGORIES,
+  normalizeUnit,
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  loadCatalogue,
+  matchProduct,
+  applyCatalogue,
+};
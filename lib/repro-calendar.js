@@ -0,0 +1,202 @@
+// lib/repro-calendar.js
+// Upcoming reproduction events from AT1 rows ("automatic file") and GEA rows.
+//
+// AT1: inseminated_at, pregnant_days / pregnant_since, next_pregnancy_date
+//      (end of the waiting period), days_until_waiting_pregnancy (negative = overdue)
+// GEA: 'apseklinimo diena', 'kada versiuosis', 'liko iki apsiveršiavimo',
+//      'veršingumas dienomis', 'apsiversiavo', 'laktacijos dienos'
+const { toISODate, toNum } = require("./cells.js");
+const { normalizeTag, indexByTag, matchTag } = require("./tags.js");
+
+const GESTATION_DAYS = 283;
+
+const DEFAULTS = {
+  dryOffDays: 60,       // dry off this many days before calving
+  pregCheckDays: 35,    // pregnancy check this many days after insemination
+  overdueDim: 90,       // open cow past this many days in milk = overdue
+  horizonDays: 90,
+};
+
+const EVENT_LABELS = {
+  calving: "Expected calving",
+  dry_off: "Dry-off",
+  pregnancy_check: "Pregnancy check due",
+  insemination_overdue: "Overdue for insemination",
+};
+
+// ---------- helpers ----------
+function addDays(iso, n) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + Math.round(n));
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromISO, toISO) {
+  return Math.round((Date.parse(toISO) - Date.parse(fromISO)) / (24 * 60 * 60 * 1000));
+}
+
+function isISODate(s) {
+  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+// AT1 pregnancy status: pregnant_days, or a pregnant_since date when the
+// robot left the day count empty. lib/culling.js uses it too, so both
+// reports call the same cow pregnant.
+function at1Pregnant(r) {
+  return toNum(r.pregnant_days) > 0 || !!toISODate(r.pregnant_since);
+}
+
+// Per-cow facts in one shape, whichever export they came from
+function fromAt1(r, today) {
+  const inseminated = toISODate(r.inseminated_at);
+  const pregnantDays = toNum(r.pregnant_days);
+  const pregnantSince = toISODate(r.pregnant_since);
+  const untilWaiting = toNum(r.days_until_waiting_pregnancy);
+  const pregnant = at1Pregnant(r);
+
+  let calving = null;
+  if (pregnant) {
+    if (inseminated) calving = addDays(inseminated, GESTATION_DAYS);
+    else if (pregnantDays > 0) calving = addDays(today, GESTATION_DAYS - pregnantDays);
+    else calving = addDays(pregnantSince, GESTATION_DAYS);
+  }
+
+  return {
+    cow: String(r.ear_number ?? r.cow_number ?? "").trim() || null,
+    cow_number: r.cow_number ?? null,
+    ear_number: normalizeTag(r.ear_number),
+    source: "at1",
+    pregnant,
+    inseminated,
+    calving,
+    waiting_until: toISODate(r.next_pregnancy_date),
+    overdue_days: untilWaiting != null && untilWaiting < 0 ? -untilWaiting : null,
+    dim: toNum(r.lactation_days),
+  };
+}
+
+function fromGea(r, today) {
+  const pregnantDays = toNum(r["veršingumas dienomis"]);
+  const daysLeft = toNum(r["liko iki apsiveršiavimo"]);
+  const expected = toISODate(r["kada versiuosis"]);
+  const calved = toISODate(r.apsiversiavo);
+
+  // an insemination from before the last calving belongs to the previous lactation
+  let inseminated = toISODate(r["apseklinimo diena"]);
+  if (inseminated && calved && inseminated <= calved) inseminated = null;
+
+  let calving = expected;
+  if (!calving && daysLeft != null) calving = addDays(today, daysLeft);
+
+  return {
+    cow: r.tag_no || null,
+    cow_number: r["kaklo nr"] ?? null,
+    ear_number: normalizeTag(r.tag_no),
+    source: "gea",
+    pregnant: pregnantDays > 0 || !!calving,
+    inseminated,
+    calving,
+    waiting_until: null,
+    overdue_days: null,
+    dim: toNum(r["laktacijos dienos"]),
+  };
+}
+
+function eventsForCow(c, today, opts) {
+  const events = [];
+  const base = { cow: c.cow, cow_number: c.cow_number, source: c.source };
+
+  if (c.calving) {
+    events.push({ ...base, type: "calving", date: c.calving });
+    events.push({ ...base, type: "dry_off", date: addDays(c.calving, -opts.dryOffDays) });
+  }
+
+  if (c.inseminated && !c.pregnant) {
+    events.push({
+      ...base,
+      type: "pregnancy_check",
+      date: addDays(c.inseminated, opts.pregCheckDays),
+      inseminated_at: c.inseminated,
+    });
+  }
+
+  // an inseminated cow waits for her pregnancy check, she is not overdue
+  if (!c.pregnant && !c.inseminated) {
+    let overdue = c.overdue_days;
+
+    if (overdue == null && c.waiting_until && c.waiting_until < today) {
+      overdue = daysBetween(c.waiting_until, today);
+    }
+    if (overdue == null && c.dim != null && c.dim > opts.overdueDim) {
+      overdue = c.dim - opts.overdueDim;
+    }
+
+    if (overdue) {
+      events.push({ ...base, type: "insemination_overdue", date: today, overdue_days: overdue });
+    }
+  }
+
+  return events;
+}
+
+// ---------- main ----------
+function buildReproCalendar({ at1 = [], gea = [] } = {}, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const today = isISODate(opts.today) ? opts.today : new Date().toISOString().slice(0, 10);
+  const until = addDays(today, opts.horizonDays);
+
+  // GEA first: an explicit 'kada versiuosis' beats a date computed from AT1
+  const cows = [
+    ...gea.filter((r) => r?.tag_no).map((r) => fromGea(r, today)),
+    ...at1.filter((r) => r?.cow_number != null).map((r) => fromAt1(r, today)),
+  ];
+
+  // Events are deduplicated per ear number: an AT1 ear number that is only
+  // the tail of a GEA tag is taken as that GEA cow. An AT1 row without an
+  // ear number keeps its own robot cow number and is never merged.
+  const geaIndex = indexByTag(cows.filter((c) => c.source === "gea"), (c) => c.ear_number);
+  const earOf = (c) => {
+    if (c.source === "gea") return c.ear_number;
+    const hit = matchTag(geaIndex, c.ear_number);
+    return hit ? hit.key : c.ear_number;
+  };
+
+  const seen = new Set();
+  const events = [];
+
+  for (const c of cows) {
+    const id = earOf(c) || `at1:${c.cow_number}`;
+
+    for (const e of eventsForCow(c, today, opts)) {
+      const key = `${e.type}:${id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      // pending checks stay visible once late, until a calving would be due anyway
+      const late =
+        e.type === "pregnancy_check" &&
+        e.date < today &&
+        daysBetween(e.inseminated_at, today) < GESTATION_DAYS;
+      if (!late && (e.date < today || e.date > until)) continue;
+
+      events.push({
+        ...e,
+        title: `${EVENT_LABELS[e.type]}: ${e.cow}`,
+        overdue: late || e.type === "insemination_overdue",
+      });
+    }
+  }
+
+  events.sort((a, b) => a.date.localeCompare(b.date) || a.type.localeCompare(b.type));
+
+  const counts = {};
+  for (const e of events) counts[e.type] = (counts[e.type] || 0) + 1;
+
+  return { from: today, to: until, count: events.length, counts, events };
+}
+
+module.exports = {
+  DEFAULTS,
+  at1Pregnant,
+  buildReproCalendar,
+};
@@ -0,0 +1,270 @@
+// lib/species.js
+// Species the VIC live-animal report can list, and how to read their rows.
+// The built-in list below can be extended or overridden per farm with
+// <HERD_STORE_DIR>/species.json (or SPECIES_REGISTRY_PATH): an array of
+// entries in the same shape; an entry with a known id replaces its fields.
+//
+//   id     – species key in parsed rows ("galvijai", "avys", …)
+//   labels – spellings in the report; diacritic-free forms are added automatically
+//   rows   – "individual" (one animal per row), "grouped" (head count per
+//            group) or "both"
+//   sexes  – [{ label, words, prefix }]: `words` are matched in the text,
+//            `prefix` (diacritics ignored) maps any spelling to `label`
+//   tag    – regex (string, unanchored) for the animal ID; on grouped rows it
+//            picks the flock / colony / lot registration out of the group name
+//   unit   – unit for grouped rows that print none
+const path = require("path");
+const { STORE_DIR, readJson } = require("./herd-store.js");
+
+const SPECIES_PATH = process.env.SPECIES_REGISTRY_PATH || path.join(STORE_DIR, "species.json");
+
+const ROW_MODES = ["individual", "grouped", "both"];
+
+// Ear tags "LT000008123456" and horse chips / bare numbers
+const GENERIC_TAG = "[A-Z]{2,3}\\d+|\\d{8,20}";
+
+const DEFAULT_SPECIES = [
+  {
+    id: "galvijai",
+    labels: ["Galvijai"],
+    rows: "both",
+    sexes: [
+      { label: "Karvė", words: ["Karvė"], prefix: "karv" },
+      { label: "Telyčaitė", words: ["Telyčaitė", "Telytė", "Telyčia"], prefix: "tely" },
+      { label: "Buliukas", words: ["Buliukas"], prefix: "buliuk" },
+      { label: "Bulius", words: ["Bulius"], prefix: "buliu" },
+    ],
+    tag: GENERIC_TAG,
+    unit: "vnt.",
+  },
+  {
+    id: "arkliai",
+    labels: ["Arkliai"],
+    rows: "both",
+    sexes: [
+      { label: "Eržilas", words: ["Eržilas"], prefix: "eržil" },
+      { label: "Kumelė", words: ["Kumelė"], prefix: "kumel" },
+      { label: "Kastratas", words: ["Kastratas"], prefix: "kastr" },
+    ],
+    // UELN "440001ZE1234567" as well as chips
+    tag: `\\d{6}[A-Z0-9]{9}|${GENERIC_TAG}`,
+    unit: "vnt.",
+  },
+  {
+    id: "avys",
+    labels: ["Avys", "Avis"],
+    rows: "both",
+    sexes: [
+      { label: "Avinas", words: ["Avinas"], prefix: "avinas" },
+      { label: "Avis", words: ["Avis"], prefix: "avis" },
+      { label: "Ėriukas", words: ["Ėriukas"], prefix: "ėriuk" },
+    ],
+    // electronic IDs: 15 digits (country code 440) or country letters + 12 digits
+    tag: `\\d{15}|[A-Z]{2}\\d{12}|${GENERIC_TAG}`,
+    unit: "vnt.",
+  },
+  {
+    id: "ozkos",
+    labels: ["Ožkos"],
+    rows: "both",
+    sexes: [
+      { label: "Ožka", words: ["Ožka"], prefix: "ožka" },
+      { label: "Ožiukas", words: ["Ožiukas"], prefix: "ožiuk" },
+      { label: "Ožys", words: ["Ožys"], prefix: "ožys" },
+    ],
+    tag: `\\d{15}|[A-Z]{2}\\d{12}|${GENERIC_TAG}`,
+    unit: "vnt.",
+  },
+  {
+    id: "kiaules",
+    labels: ["Kiaulės"],
+    rows: "both",
+    sexes: [
+      { label: "Paršavedė", words: ["Paršavedė"], prefix: "paršav" },
+      { label: "Kuilys", words: ["Kuilys"], prefix: "kuil" },
+      { label: "Paršelis", words: ["Paršelis", "Paršeliai"], prefix: "paršel" },
+    ],
+    // pigs move in lots: holding code + lot number
+    tag: `[A-Z]{2}\\d+(?:[-/]\\d+)+|${GENERIC_TAG}`,
+    unit: "vnt.",
+  },
+  {
+    id: "triusiai",
+    labels: ["Triušiai"],
+    rows: "both",
+    sexes: [],
+    tag: GENERIC_TAG,
+    unit: "vnt.",
+  },
+  {
+    id: "vistos",
+    labels: ["Vištos"],
+    rows: "grouped",
+    sexes: [],
+    tag: "[A-Z]{2}\\d{4,}(?:[-/]\\d+)*",
+    unit: "vnt.",
+  },
+  {
+    id: "pauksciai",
+    labels: ["Paukščiai"],
+    rows: "grouped",
+    sexes: [],
+    tag: "[A-Z]{2}\\d{4,}(?:[-/]\\d+)*",
+    unit: "vnt.",
+  },
+  {
+    id: "bites",
+    labels: ["Bitės", "Bičių šeimos"],
+    rows: "grouped",
+    sexes: [],
+    // apiary registration "LT12345" or "123-45"
+    tag: "[A-Z]{2}\\d{4,}|\\d{2,}-\\d+",
+    unit: "šeimos",
+  },
+];
+
+function fold(s) {
+  return String(s || "").normalize("NFD").replace(/\p{M}/gu, "");
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Longest first, so "Buliukas" is tried before "Bulius"
+function alternation(words) {
+  return [...new Set(words.flatMap((w) => [w, fold(w)]))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRe)
+    .join("|");
+}
+
+// ---------- storage ----------
+// Throws on a bad entry; the message names the entry
+function checkEntry(e) {
+  const where = `species.json entry "${e?.id ?? "?"}"`;
+
+  if (!e || typeof e.id !== "string" || !e.id) throw new Error('species.json: every entry needs an "id".');
+  if (!Array.isArray(e.labels) || !e.labels.length || !e.labels.every((l) => typeof l === "string" && l)) {
+    throw new Error(`${where}: "labels" must be a non-empty array of strings.`);
+  }
+  if (!ROW_MODES.includes(e.rows)) throw new Error(`${where}: "rows" must be one of: ${ROW_MODES.join(", ")}.`);
+  try {
+    new RegExp(e.tag || GENERIC_TAG);
+  } catch {
+    throw new Error(`${where}: "tag" is not a valid regular expression.`);
+  }
+  if (!Array.isArray(e.sexes)) throw new Error(`${where}: "sexes" must be an array.`);
+  for (const s of e.sexes) {
+    if (typeof s?.label !== "string" || !s.label || typeof s.prefix !== "string" || !s.prefix) {
+      throw new Error(`${where}: each sex needs "label" and "prefix".`);
+    }
+    if (s.words != null && !(Array.isArray(s.words) && s.words.every((w) => typeof w === "string"))) {
+      throw new Error(`${where}: sex "words" must be an array of strings.`);
+    }
+  }
+  return e;
+}
+
+// Built-in species with the farm's species.json laid over them. A bad entry
+// (or an unreadable file) is left out and reported in `warnings`, so one typo
+// never stops the VIC parsers; the built-in entry it would replace stays.
+async function loadSpecies() {
+  const warnings = [];
+  let overrides = [];
+  try {
+    overrides = await readJson(SPECIES_PATH, []);
+  } catch (e) {
+    warnings.push(String(e?.message || e));
+  }
+  if (!Array.isArray(overrides)) {
+    warnings.push("species.json must be an array of entries; ignored.");
+    overrides = [];
+  }
+
+  const byId = new Map(DEFAULT_SPECIES.map((s) => [s.id, s]));
+  for (const o of overrides) {
+    try {
+      byId.set(o?.id, checkEntry({ sexes: [], tag: GENERIC_TAG, unit: "vnt.", ...byId.get(o?.id), ...o }));
+    } catch (e) {
+      warnings.push(`${e.message} Entry skipped.`);
+    }
+  }
+  return compileSpecies([...byId.values()], { warnings });
+}
+
+// ---------- lookups ----------
+// Entries → the regex fragments and lookups the VIC parsers use
+function compileSpecies(list = DEFAULT_SPECIES, { warnings = [] } = {}) {
+  const entries = list.map((s) => ({
+    ...s,
+    sexes: s.sexes || [],
+    _labels: new Set(s.labels.flatMap((l) => [l.toLowerCase(), fold(l).toLowerCase()])),
+    _tag: new RegExp(`^(?:${s.tag || GENERIC_TAG})$`, "i"),
+    _tagIn: new RegExp(`\\b(?:${s.tag || GENERIC_TAG})\\b`, "i"),
+  }));
+
+  const individual = entries.filter((s) => s.rows !== "grouped");
+  const grouped = entries.filter((s) => s.rows !== "individual");
+
+  const byLabel = (label) => {
+    const x = String(label || "").trim().toLowerCase();
+    return entries.find((s) => s._labels.has(x)) || null;
+  };
+
+  return {
+    entries,
+    warnings,
+    speciesWords: alternation(individual.flatMap((s) => s.labels)),
+    groupedSpeciesWords: alternation(grouped.flatMap((s) => s.labels)),
+    sexWords: alternation(entries.flatMap((s) => s.sexes.flatMap((x) => x.words || [x.label]))),
+    tagPattern: [...new Set(individual.map((s) => s.tag || GENERIC_TAG))].join("|"),
+    byLabel,
+
+    // "Ožkos" → "ozkos"; unknown labels are lower-cased as they are
+    speciesId(label) {
+      if (!label) return null;
+      const s = byLabel(label);
+      return s ? s.id : String(label).trim().toLowerCase();
+    },
+
+    // Any spelling → the species' own label; the species' vocabulary is tried first
+    sexLabel(raw, speciesId = null) {
+      if (!raw) return null;
+      const x = fold(String(raw).trim()).toLowerCase();
+      const own = entries.find((s) => s.id === speciesId);
+      const pool = own ? [own, ...entries.filter((s) => s !== own)] : entries;
+
+      for (const s of pool) {
+        const hit = s.sexes.find((v) => x.startsWith(fold(v.prefix).toLowerCase()));
+        if (hit) return hit.label;
+      }
+      return String(raw).charAt(0).toUpperCase() + String(raw).slice(1).toLowerCase();
+    },
+
+    // Species pattern when the species is known, else any individual pattern
+    isValidTag(tag, speciesId = null) {
+      if (!tag) return false;
+      const s = entries.find((e) => e.id === speciesId);
+      const t = String(tag).trim();
+      return s ? s._tag.test(t) : individual.some((e) => e._tag.test(t));
+    },
+
+    // Flock / colony / lot registration inside a grouped row's group name
+    registrationIn(text, speciesId) {
+      const s = entries.find((e) => e.id === speciesId);
+      const m = s && String(text || "").match(s._tagIn);
+      return m ? m[0] : null;
+    },
+
+    unitFor(speciesId) {
+      return entries.find((e) => e.id === speciesId)?.unit || null;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_SPECIES,
+  loadSpecies,
+  compileSpecies,
+};
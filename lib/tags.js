@@ -0,0 +1,59 @@
+// lib/tags.js
+// Ear tag helpers shared by the VIC, GEA and "automatic file" endpoints.
+//
+// VIC prints full identifiers ("LT000008123456"), while GEA and the robot
+// exports usually carry bare digits ("8123456") – sometimes only the tail.
+
+// "LT 0000 0812-3456" → "8123456"
+function normalizeTag(tag) {
+  if (tag == null) return null;
+
+  const s = String(tag)
+    .toUpperCase()
+    .replace(/[\s\-_.]/g, "")
+    .replace(/^[A-Z]{2,3}/, "")
+    .replace(/^0+/, "");
+
+  return /^\d+$/.test(s) ? s : null;
+}
+
+// Builds a lookup over `rows` keyed by normalized tag.
+function indexByTag(rows, getTag) {
+  const byKey = new Map();
+
+  for (const row of rows || []) {
+    const key = normalizeTag(getTag(row));
+    if (!key || byKey.has(key)) continue;
+    byKey.set(key, row);
+  }
+
+  return byKey;
+}
+
+// Finds `tag` in an index built by indexByTag.
+// Exact normalized match first; otherwise a short tag (>= 4 digits) matches
+// the single longer tag that ends with it.
+function matchTag(index, tag) {
+  const key = normalizeTag(tag);
+  if (!key) return null;
+
+  if (index.has(key)) return { key, row: index.get(key), method: "exact" };
+
+  if (key.length < 4) return null;
+
+  let found = null;
+
+  for (const [k, row] of index) {
+    if (k.length <= key.length || !k.endsWith(key)) continue;
+    if (found) return null; // ambiguous
+    found = { key: k, row, method: "suffix" };
+  }
+
+  return found;
+}
+
+module.exports = {
+  normalizeTag,
+  indexByTag,
+  matchTag,
+};
@@ -0,0 +1,206 @@
+// lib/udder.js
+// Teat status from AT3 ("automatic file") and the udder profile built on it.
+//
+// AT3 marks each missing quarter in its own column; every stored automatic
+// upload is a dated snapshot of those marks, so a quarter that is present in
+// one upload and missing in a later one is a lost teat.
+const { toBoolLT, toNum } = require("./cells.js");
+const { normalizeTag } = require("./tags.js");
+const { listUploads, loadUpload } = require("./herd-store.js");
+
+// Column order as in AT3_COLS (api/extract-automatic-file.js)
+const QUARTERS = [
+  { key: "right_back", column: "teat_missing_right_back" },
+  { key: "back_left", column: "teat_missing_back_left" },
+  { key: "front_left", column: "teat_missing_front_left" },
+  { key: "front_right", column: "teat_missing_front_right" },
+];
+
+// ---------- cells ----------
+// Marks the robot puts in a teat column instead of "Taip"
+const MISSING_MARKS = new Set(["x", "+", "✓", "✔"]);
+
+// true = missing. The robot leaves the cell empty for a teat that is there;
+// anything it cannot read as yes / no or a mark is null (unknown).
+function teatMissing(val) {
+  if (typeof val === "boolean") return val;
+  if (val == null || String(val).trim() === "") return false;
+  if (MISSING_MARKS.has(String(val).trim().toLowerCase())) return true;
+  return toBoolLT(val);
+}
+
+// AT3 row with the teat columns as booleans. The cells as the robot wrote
+// them are kept in `teat_marks`: an unknown quarter becomes null, which on its
+// own would read as an empty (present) cell again.
+function normalizeTeats(row) {
+  const out = { ...row, teat_marks: row.teat_marks || {} };
+  for (const q of QUARTERS) {
+    if (!row.teat_marks) out.teat_marks[q.key] = row[q.column] ?? null;
+    out[q.column] = teatMissing(out.teat_marks[q.key]);
+  }
+  return out;
+}
+
+// Quarter status of a raw or normalized row: true / false / null (unknown)
+function quarterMissing(row, q) {
+  return teatMissing(row.teat_marks ? row.teat_marks[q.key] : row[q.column]);
+}
+
+// ---------- profiles ----------
+// teats and profile stay null while any quarter is unknown
+function udderOf(row) {
+  const missing = QUARTERS.filter((q) => quarterMissing(row, q) === true).map((q) => q.key);
+  const unknown = QUARTERS.filter((q) => quarterMissing(row, q) === null).map((q) => q.key);
+  const teats = unknown.length ? null : QUARTERS.length - missing.length;
+
+  return {
+    teats,
+    profile: teats == null ? null : `${teats}-teat cow`,
+    missing,
+    unknown,
+  };
+}
+
+// Every automatic upload in as_of order, as
+// Map<cow, [{ as_of, upload_id, lactation_number, ...udderOf() }]>
+async function udderSnapshots() {
+  const cows = new Map();
+
+  for (const entry of await listUploads({ kind: "automatic" })) {
+    const upload = await loadUpload(entry.id);
+
+    for (const r of upload?.data?.ataskaita3 || []) {
+      const key = normalizeTag(r.cow_number);
+      if (!key) continue;
+
+      const list = cows.get(key) || [];
+      list.push({ as_of: entry.as_of, upload_id: entry.id, lactation_number: toNum(r.lactation_number), ...udderOf(r) });
+      cows.set(key, list);
+    }
+  }
+
+  return cows;
+}
+
+// A quarter missing now and present in the cow's previous snapshot. Quarters
+// missing from the first snapshot on were lost before we had data, so they
+// are not events.
+function lostTeats(cow, snapshots) {
+  const events = [];
+
+  for (let i = 1; i < snapshots.length; i++) {
+    const prev = snapshots[i - 1];
+    const cur = snapshots[i];
+
+    for (const quarter of cur.missing) {
+      if (prev.missing.includes(quarter) || prev.unknown.includes(quarter)) continue;
+      events.push({
+        type: "teat_lost",
+        cow,
+        quarter,
+        date: cur.as_of,
+        last_seen_present: prev.as_of,
+        teats: cur.teats,
+        lactation_number: cur.lactation_number,
+        upload_id: cur.upload_id,
+      });
+    }
+  }
+
+  return events;
+}
+
+// Latest snapshot plus the changes that led to it. `history` keeps only the
+// snapshots where the udder changed.
+function profileOf(cow, snapshots) {
+  const latest = snapshots[snapshots.length - 1];
+  const history = snapshots.filter((s, i) => i === 0 || s.missing.join() !== snapshots[i - 1].missing.join());
+
+  return {
+    cow,
+    as_of: latest.as_of,
+    lactation_number: latest.lactation_number,
+    teats: latest.teats,
+    profile: latest.profile,
+    missing: latest.missing,
+    unknown: latest.unknown,
+    first_seen: snapshots[0].as_of,
+    history: history.map((s) => ({ as_of: s.as_of, teats: s.teats, missing: s.missing })),
+    events: lostTeats(cow, snapshots),
+  };
+}
+
+// ---------- queries ----------
+async function udderProfiles() {
+  const out = [];
+  for (const [cow, snapshots] of await udderSnapshots()) out.push(profileOf(cow, snapshots));
+  return out.sort((a, b) => a.cow.localeCompare(b.cow, undefined, { numeric: true }));
+}
+
+async function cowUdder(tag) {
+  const key = normalizeTag(tag);
+  if (!key) return null;
+
+  const snapshots = (await udderSnapshots()).get(key);
+  return snapshots ? profileOf(key, snapshots) : null;
+}
+
+// Lost teats dated in [from, to], optionally for one cow
+async function teatEvents({ from = null, to = null, cow = null } = {}) {
+  const want = cow ? normalizeTag(cow) : null;
+  const out = [];
+
+  for (const [key, snapshots] of await udderSnapshots()) {
+    if (want && key !== want) continue;
+    out.push(...lostTeats(key, snapshots).filter((e) => (!from || e.date >= from) && (!to || e.date <= to)));
+  }
+
+  return out.sort((a, b) => a.date.localeCompare(b.date) || a.cow.localeCompare(b.cow, undefined, { numeric: true }));
+}
+
+// Cows with missing teats by lactation number, from each cow's latest
+// snapshot. Cows gone from the latest automatic upload are left out.
+async function missingTeatsReport() {
+  const uploads = await listUploads({ kind: "automatic" });
+  const lastAsOf = uploads.length ? uploads[uploads.length - 1].as_of : null;
+
+  const current = (await udderProfiles()).filter((p) => p.as_of === lastAsOf);
+  const groups = new Map();
+
+  for (const p of current) {
+    const k = p.lactation_number == null ? "" : String(p.lactation_number);
+    const g = groups.get(k) || { lactation_number: p.lactation_number, cows: 0, with_missing_teats: 0, by_teats: {}, animals: [] };
+
+    g.cows += 1;
+    if (p.missing.length) {
+      g.with_missing_teats += 1;
+      const t = p.teats ?? "unknown";
+      g.by_teats[t] = (g.by_teats[t] || 0) + 1;
+      g.animals.push({ cow: p.cow, teats: p.teats, profile: p.profile, missing: p.missing });
+    }
+    groups.set(k, g);
+  }
+
+  const lactations = [...groups.values()].sort(
+    (a, b) => (a.lactation_number ?? Infinity) - (b.lactation_number ?? Infinity)
+  );
+
+  return {
+    as_of: lastAsOf,
+    cows: current.length,
+    with_missing_teats: current.filter((p) => p.missing.length).length,
+    unknown_status: current.filter((p) => p.unknown.length).length,
+    lactations,
+  };
+}
+
+module.exports = {
+  QUARTERS,
+  teatMissing,
+  normalizeTeats,
+  udderOf,
+  udderProfiles,
+  cowUdder,
+  teatEvents,
+  missingTeatsReport,
+};
@@ -0,0 +1,99 @@
+// lib/uploads.js
+// Request body helpers: multipart for endpoints that take several files in one
+// request, JSON for the small CRUD endpoints.
+const fs = require("fs/promises");
+const { formidable } = require("formidable");
+
+function isMultipart(req) {
+  return String(req.headers["content-type"] || "").toLowerCase().startsWith("multipart/form-data");
+}
+
+function isPdfUpload(f) {
+  return /pdf/i.test(f?.mimetype || "") || /\.pdf$/i.test(f?.filename || "");
+}
+
+// → { fields, files: [{ field, filename, mimetype, buffer }] }
+async function getUploadFiles(req, { maxFileSize = 100 * 1024 * 1024 } = {}) {
+  const form = formidable({ keepExtensions: true, maxFileSize });
+
+  const { fields, files } = await new Promise((resolve, reject) => {
+    form.parse(req, (err, fields, files) => (err ? reject(err) : resolve({ fields, files })));
+  });
+
+  const out = [];
+
+  for (const [field, value] of Object.entries(files || {})) {
+    for (const f of [].concat(value || [])) {
+      const fp = f.filepath || f.path;
+      if (!fp) throw new Error("Uploaded file path missing.");
+
+      out.push({
+        field,
+        filename: f.originalFilename || f.name || null,
+        mimetype: f.mimetype || f.type || null,
+        buffer: await fs.readFile(fp),
+      });
+    }
+  }
+
+  return { fields: fields || {}, files: out };
+}
+
+// A problem with the request itself. Handlers answer it with `status`;
+// any error without one is ours and gets a 500.
+function inputError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// The CRUD bodies are a few fields; anything bigger is refused
+const MAX_JSON_BODY = 1024 * 1024;
+
+// JSON body with bodyParser off (or the parsed one when a platform already did it).
+// Throws a 413 input error past MAX_JSON_BODY and a 400 one for bad JSON.
+async function readJsonBody(req, { maxBytes = MAX_JSON_BODY } = {}) {
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) return req.body;
+
+  const tooLarge = () => inputError(`Request body is too large (limit ${maxBytes} bytes).`, 413);
+  if (Number(req.headers?.["content-length"]) > maxBytes) throw tooLarge();
+
+  const chunks = [];
+  let size = 0;
+  await new Promise((resolve, reject) => {
+    req.on("data", (ch) => {
+      size += ch.length;
+      if (size > maxBytes) {
+        // keep draining so the response can still be sent, but drop the data
+        req.removeAllListeners("data");
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(ch);
+    });
+    req.on("end", resolve);
+    req.on("error", reject);
+  });
+
+  const body = Buffer.concat(chunks).toString("utf8");
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch {
+    throw inputError("Body is not valid JSON.");
+  }
+}
+
+// First upload whose field name is one of `names`
+function pickFile(files, names) {
+  return files.find((f) => names.includes(f.field)) || null;
+}
+
+module.exports = {
+  inputError,
+  isMultipart,
+  isPdfUpload,
+  getUploadFiles,
+  readJsonBody,
+  pickFile,
+};